@@ -0,0 +1,218 @@
+const moment = require('moment');
+const db = require('../config/database');
+const { enqueue } = require('./queue');
+const { CHECKOUT_CLOSES_AFTER_MINUTES, getEventSchedule } = require('../utils/eventTime');
+const { issueCertificates } = require('../utils/certificate');
+const { filterRecipients, notify } = require('../utils/notifications');
+const { sendMail, appUrl } = require('../utils/mailer');
+
+// Reminders sent to registered students, most specific first
+const REMINDERS = [
+  { kind: '1h', hours: 1 },
+  { kind: '24h', hours: 24 }
+];
+
+// "in 40 minutes", "today at 18:00", "tomorrow at 09:30", from when the reminder
+// actually goes out rather than from the reminder's nominal lead time
+const describeStart = (startsAt, now = moment()) => {
+  if (startsAt.diff(now, 'hours', true) <= 1) return startsAt.from(now);
+
+  return startsAt.calendar(now, {
+    sameDay: '[today at] HH:mm',
+    nextDay: '[tomorrow at] HH:mm',
+    sameElse: '[on] ddd D MMM [at] HH:mm'
+  });
+};
+
+const EVENT_FIELDS = 'id, college_id, title, status, event_date, start_time, end_time, duration_hours, venue';
+
+const loadEvent = async (eventId) => {
+  const [events] = await db.execute(`SELECT ${EVENT_FIELDS} FROM events WHERE id = ?`, [eventId]);
+  return events[0];
+};
+
+// Record that this job reached a student, then send. A student already recorded
+// is skipped, so a retried job never sends them a second message; if sending
+// fails the record is removed again so the retry does reach them.
+const deliverOnce = async (job, studentId, send) => {
+  const [result] = await db.execute(
+    'INSERT IGNORE INTO job_deliveries (job_id, student_id) VALUES (?, ?)',
+    [job.id, studentId]
+  );
+  if (result.affectedRows !== 1) return;
+
+  try {
+    await send();
+  } catch (error) {
+    await db.execute('DELETE FROM job_deliveries WHERE job_id = ? AND student_id = ?', [job.id, studentId]);
+    throw error;
+  }
+};
+
+// Certificates and feedback requests follow every completed event, whether an
+// admin completed it or the scheduler did. Certificates wait until check-out has
+// closed, since attendance without a check-out does not meet a minimum.
+const enqueueCompletionJobs = async (eventId, conn = db) => {
+  await enqueue('issue_certificates', `issue_certificates:${eventId}`, { event_id: parseInt(eventId) }, { delaySeconds: CHECKOUT_CLOSES_AFTER_MINUTES * 60 }, conn);
+  await enqueue('request_feedback', `request_feedback:${eventId}`, { event_id: parseInt(eventId) }, {}, conn);
+};
+
+// Queue reminders that are due and completions for events that have ended.
+// Keys include the scheduled time, so moving an event queues fresh jobs.
+const planEventJobs = async (now = moment()) => {
+  const [events] = await db.execute(
+    `SELECT ${EVENT_FIELDS} FROM events WHERE status = "active" AND event_date < ?`,
+    [now.clone().add(2, 'days').startOf('day').toDate()]
+  );
+
+  for (const event of events) {
+    const { startsAt, endsAt } = getEventSchedule(event);
+
+    if (!endsAt.isAfter(now)) {
+      await enqueue('complete_event', `complete_event:${event.id}:${endsAt.unix()}`, { event_id: event.id });
+      continue;
+    }
+
+    if (!startsAt.isAfter(now)) continue;
+
+    const reminder = REMINDERS.find(({ hours }) => startsAt.diff(now, 'hours', true) <= hours);
+    if (reminder) {
+      await enqueue('event_reminder', `event_reminder:${reminder.kind}:${event.id}:${startsAt.unix()}`, { event_id: event.id, kind: reminder.kind });
+    }
+  }
+};
+
+const sendEventReminder = async (job, { event_id, kind }) => {
+  const event = await loadEvent(event_id);
+  if (!event || event.status !== 'active') return;
+
+  const { startsAt } = getEventSchedule(event);
+  if (!startsAt.isAfter(moment())) return;
+
+  const [students] = await db.execute(`
+    SELECT s.id, s.email, s.first_name, s.email_notifications
+    FROM registrations r
+    JOIN students s ON r.student_id = s.id
+    WHERE r.event_id = ? AND r.status = "registered" AND s.is_active = true
+  `, [event.id]);
+
+  const recipients = new Set(await filterRecipients(students.map(s => s.id), 'event_reminder'));
+  const when = `${startsAt.format('ddd D MMM YYYY, HH:mm')}${event.venue ? ` at ${event.venue}` : ''}`;
+  const starts = describeStart(startsAt);
+
+  for (const student of students) {
+    if (!recipients.has(student.id)) continue;
+
+    await deliverOnce(job, student.id, async () => {
+      await notify(student.id, {
+        type: 'event_reminder',
+        college_id: event.college_id,
+        title: `${event.title} starts ${starts}`,
+        body: when,
+        data: { event_id: event.id }
+      });
+
+      if (!student.email_notifications) return;
+
+      await sendMail({
+        to: student.email,
+        subject: `Reminder: ${event.title} starts ${starts}`,
+        text: `Hi ${student.first_name},\n\n${event.title} starts ${starts}: ${when}.\n\nIf you can no longer attend, please cancel your registration so someone on the waitlist can take your seat.`
+      });
+    });
+  }
+};
+
+const completeEvent = async (job, { event_id }) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [events] = await connection.execute(
+      `SELECT ${EVENT_FIELDS} FROM events WHERE id = ? FOR UPDATE`,
+      [event_id]
+    );
+    const event = events[0];
+
+    // Cancelled, edited to a later time, or already completed by an admin
+    if (!event || event.status !== 'active' || getEventSchedule(event).endsAt.isAfter(moment())) {
+      await connection.commit();
+      return;
+    }
+
+    await connection.execute('UPDATE events SET status = "completed" WHERE id = ?', [event.id]);
+    await enqueueCompletionJobs(event.id, connection);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const issueEventCertificates = async (job, { event_id }) => {
+  const event = await loadEvent(event_id);
+  if (!event || event.status !== 'completed') return;
+
+  const { failed } = await issueCertificates(event.id, event.college_id);
+
+  // Throwing retries the job; students who got a certificate are skipped next time
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} certificate(s) failed: ${failed.map(f => f.error).join('; ')}`);
+  }
+};
+
+const requestFeedback = async (job, { event_id }) => {
+  const event = await loadEvent(event_id);
+  if (!event || event.status !== 'completed') return;
+
+  const [students] = await db.execute(`
+    SELECT s.id, s.email, s.first_name, s.email_notifications
+    FROM attendance a
+    JOIN students s ON a.student_id = s.id
+    LEFT JOIN feedback f ON f.event_id = a.event_id AND f.student_id = a.student_id
+    WHERE a.event_id = ? AND f.id IS NULL AND s.is_active = true
+  `, [event.id]);
+
+  const recipients = new Set(await filterRecipients(students.map(s => s.id), 'feedback_request'));
+  const link = appUrl(`/events/${event.id}/feedback`);
+
+  for (const student of students) {
+    if (!recipients.has(student.id)) continue;
+
+    await deliverOnce(job, student.id, async () => {
+      await notify(student.id, {
+        type: 'feedback_request',
+        college_id: event.college_id,
+        title: `How was ${event.title}?`,
+        body: 'Tell the organizers what you thought, it only takes a minute.',
+        data: { event_id: event.id }
+      });
+
+      if (!student.email_notifications) return;
+
+      await sendMail({
+        to: student.email,
+        subject: `How was ${event.title}?`,
+        text: `Hi ${student.first_name},\n\nThanks for attending ${event.title}. Please share your feedback:\n\n${link}`
+      });
+    });
+  }
+};
+
+// Job type -> handler(job, payload)
+const handlers = {
+  event_reminder: sendEventReminder,
+  complete_event: completeEvent,
+  issue_certificates: issueEventCertificates,
+  request_feedback: requestFeedback
+};
+
+module.exports = {
+  enqueueCompletionJobs,
+  planEventJobs,
+  handlers
+};
@@ -0,0 +1,91 @@
+const os = require('os');
+const db = require('../config/database');
+
+// MySQL-backed job queue. Jobs are deduplicated by unique_key, so enqueueing the
+// same work twice (from a retry or another server instance) is a no-op, and
+// workers claim due jobs with FOR UPDATE SKIP LOCKED so each job runs once.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// A running job whose worker has not finished within this many seconds is assumed dead
+const JOB_LOCK_TIMEOUT_SECONDS = parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS) || 600;
+
+// Returns true if the job was created, false if one with the same key already exists
+const enqueue = async (type, uniqueKey, payload = null, { delaySeconds = 0, maxAttempts = 5 } = {}, conn = db) => {
+  const [result] = await conn.execute(
+    `INSERT INTO jobs (type, unique_key, payload, run_at, max_attempts)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), ?)
+     ON DUPLICATE KEY UPDATE id = id`,
+    [type, uniqueKey, payload ? JSON.stringify(payload) : null, delaySeconds, maxAttempts]
+  );
+  return result.affectedRows === 1;
+};
+
+// Lock up to `limit` due jobs for this worker
+const claimJobs = async (limit) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [jobs] = await connection.query(
+      'SELECT * FROM jobs WHERE status = "pending" AND run_at <= NOW() ORDER BY run_at, id LIMIT ? FOR UPDATE SKIP LOCKED',
+      [limit]
+    );
+
+    if (jobs.length > 0) {
+      await connection.query(
+        'UPDATE jobs SET status = "running", attempts = attempts + 1, locked_by = ?, locked_at = NOW() WHERE id IN (?)',
+        [WORKER_ID, jobs.map(job => job.id)]
+      );
+    }
+
+    await connection.commit();
+    return jobs.map(job => ({ ...job, attempts: job.attempts + 1 }));
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const completeJob = async (job) => {
+  await db.execute(
+    'UPDATE jobs SET status = "completed", completed_at = NOW(), locked_by = NULL, locked_at = NULL, last_error = NULL WHERE id = ? AND locked_by = ?',
+    [job.id, WORKER_ID]
+  );
+};
+
+// Retry with exponential backoff (1, 2, 4... minutes) until max_attempts is reached
+const failJob = async (job, error) => {
+  const finalAttempt = job.attempts >= job.max_attempts;
+  const backoffSeconds = 60 * 2 ** (job.attempts - 1);
+
+  await db.execute(
+    `UPDATE jobs
+     SET status = ?, run_at = DATE_ADD(NOW(), INTERVAL ? SECOND), last_error = ?, locked_by = NULL, locked_at = NULL
+     WHERE id = ? AND locked_by = ?`,
+    [finalAttempt ? 'failed' : 'pending', backoffSeconds, String(error.stack || error.message).slice(0, 4000), job.id, WORKER_ID]
+  );
+};
+
+// Put jobs abandoned by a crashed worker back in the queue
+const releaseStaleJobs = async () => {
+  await db.execute(
+    `UPDATE jobs
+     SET status = IF(attempts >= max_attempts, "failed", "pending"), locked_by = NULL, locked_at = NULL,
+         last_error = COALESCE(last_error, "Worker stopped before finishing the job")
+     WHERE status = "running" AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [JOB_LOCK_TIMEOUT_SECONDS]
+  );
+};
+
+module.exports = {
+  WORKER_ID,
+  enqueue,
+  claimJobs,
+  completeJob,
+  failJob,
+  releaseStaleJobs
+};
@@ -0,0 +1,67 @@
+const { claimJobs, completeJob, failJob, releaseStaleJobs } = require('./queue');
+const { planEventJobs, handlers } = require('./eventJobs');
+
+// How often each server instance looks for due work
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 60;
+const JOB_BATCH_SIZE = 10;
+
+let timer = null;
+
+const runJob = async (job) => {
+  try {
+    const handler = handlers[job.type];
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+
+    await handler(job, job.payload || {});
+    await completeJob(job);
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+    await failJob(job, error);
+  }
+};
+
+// One pass: recover abandoned jobs, queue new ones, then drain everything due
+const tick = async () => {
+  await releaseStaleJobs();
+  await planEventJobs();
+
+  let jobs;
+  do {
+    jobs = await claimJobs(JOB_BATCH_SIZE);
+    for (const job of jobs) {
+      await runJob(job);
+    }
+  } while (jobs.length === JOB_BATCH_SIZE);
+};
+
+// Ticks are chained rather than on an interval so a slow pass never overlaps the next
+const startScheduler = () => {
+  if (timer) return;
+
+  const loop = async () => {
+    try {
+      await tick();
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    }
+    if (timer) {
+      timer = setTimeout(loop, SCHEDULER_INTERVAL_SECONDS * 1000);
+    }
+  };
+
+  timer = setTimeout(loop, 0);
+  console.log(`Job scheduler started, running every ${SCHEDULER_INTERVAL_SECONDS}s`);
+};
+
+const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  tick,
+  startScheduler,
+  stopScheduler
+};
@@ -26,7 +26,10 @@ const requireRole = (roles) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    // Super admins can do everything a college admin can
+    const effectiveRoles = req.user.role === 'super_admin' ? ['super_admin', 'admin'] : [req.user.role];
+
+    if (!effectiveRoles.some(role => roles.includes(role))) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -41,10 +44,11 @@ const requireSameCollege = async (req, res, next) => {
   }
 
   try {
-    // For admin operations, verify admin exists and is active
+    // For admin operations, verify admin exists and is active. The role is taken
+    // from the row too, so a demotion applies before the token expires.
     if (req.user.role === 'admin' || req.user.role === 'super_admin') {
       const [admin] = await db.execute(
-        'SELECT college_id, is_active FROM admins WHERE id = ?',
+        'SELECT college_id, role, is_active FROM admins WHERE id = ?',
         [req.user.id]
       );
 
@@ -53,12 +57,13 @@ const requireSameCollege = async (req, res, next) => {
       }
 
       req.user.college_id = admin[0].college_id;
+      req.user.role = admin[0].role;
     }
 
     // For student operations, verify student exists and is active
     if (req.user.role === 'student') {
       const [student] = await db.execute(
-        'SELECT college_id, is_active FROM students WHERE id = ?',
+        'SELECT college_id, is_active, email_verified_at FROM students WHERE id = ?',
         [req.user.id]
       );
 
@@ -67,6 +72,7 @@ const requireSameCollege = async (req, res, next) => {
       }
 
       req.user.college_id = student[0].college_id;
+      req.user.email_verified = Boolean(student[0].email_verified_at);
     }
 
     next();
@@ -76,8 +82,18 @@ const requireSameCollege = async (req, res, next) => {
   }
 };
 
+// Block students who have not verified their email (use after requireSameCollege)
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.role === 'student' && !req.user.email_verified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
-  requireSameCollege
+  requireSameCollege,
+  requireVerifiedEmail
 };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const multer = require('multer');
+const { eventUploadDir } = require('../utils/eventFiles');
+
+const MAX_CSV_SIZE = parseInt(process.env.MAX_CSV_SIZE_MB || '2') * 1024 * 1024;
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+// Turn multer failures (size limits, rejected types) into 400 responses
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message;
+      return res.status(400).json({ error: message });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    next();
+  });
+};
+
+// Single CSV file in field "file", kept in memory
+const csvUpload = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.csv' || !CSV_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Only .csv files are allowed'));
+    }
+    cb(null, true);
+  }
+}).single('file'));
+
+const IMAGE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp']
+};
+
+// Leading bytes each type must start with, as [offset, hex] pairs. Office files
+// are checked as their container: OLE2 for .doc/.ppt, zip for .docx/.pptx.
+const OLE2 = [[0, 'd0cf11e0a1b11ae1']];
+const ZIP = [[0, '504b0304']];
+const FILE_SIGNATURES = {
+  'image/jpeg': [[0, 'ffd8ff']],
+  'image/png': [[0, '89504e470d0a1a0a']],
+  'image/webp': [[0, '52494646'], [8, '57454250']],
+  'application/pdf': [[0, '255044462d']],
+  'application/vnd.ms-powerpoint': OLE2,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ZIP,
+  'application/msword': OLE2,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP
+};
+
+// The client picks the MIME type, so check the stored bytes agree with it
+const matchesSignature = async (file) => {
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+    const header = buffer.subarray(0, bytesRead);
+    return FILE_SIGNATURES[file.mimetype].every(([offset, hex]) => {
+      const expected = Buffer.from(hex, 'hex');
+      return header.subarray(offset, offset + expected.length).equals(expected);
+    });
+  } finally {
+    await handle.close();
+  }
+};
+
+// Allowed MIME types (with matching extensions) and limits per kind of event file
+const EVENT_FILE_RULES = {
+  banner: {
+    field: 'banner',
+    maxCount: 1,
+    maxSize: parseInt(process.env.MAX_BANNER_SIZE_MB || '5') * 1024 * 1024,
+    types: IMAGE_TYPES
+  },
+  attachment: {
+    field: 'files',
+    maxCount: 5,
+    maxSize: parseInt(process.env.MAX_ATTACHMENT_SIZE_MB || '20') * 1024 * 1024,
+    types: {
+      ...IMAGE_TYPES,
+      'application/pdf': ['.pdf'],
+      'application/vnd.ms-powerpoint': ['.ppt'],
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+      'application/msword': ['.doc'],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
+    }
+  }
+};
+
+// Files for the event in req.params.id, written to uploads/events/<id>/ under random names
+const eventFileUpload = (kind) => {
+  const rules = EVENT_FILE_RULES[kind];
+
+  const upload = handleUpload(multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = eventUploadDir(req.params.id);
+        fs.mkdir(dir, { recursive: true }, error => cb(error, dir));
+      },
+      filename: (req, file, cb) => {
+        cb(null, `${kind}-${randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+      }
+    }),
+    limits: { fileSize: rules.maxSize, files: rules.maxCount },
+    fileFilter: (req, file, cb) => {
+      const extensions = rules.types[file.mimetype];
+      if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+        const allowed = [...new Set(Object.values(rules.types).flat())].join(', ');
+        return cb(new Error(`Unsupported file type for ${file.originalname}, allowed: ${allowed}`));
+      }
+      cb(null, true);
+    }
+  }).array(rules.field, rules.maxCount));
+
+  return (req, res, next) => upload(req, res, async () => {
+    const files = req.files || [];
+    const discard = () => Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+
+    try {
+      for (const file of files) {
+        if (!(await matchesSignature(file))) {
+          await discard();
+          return res.status(400).json({ error: `${file.originalname} is not a valid ${path.extname(file.originalname).toLowerCase()} file` });
+        }
+      }
+    } catch (error) {
+      console.error('Upload check error:', error);
+      await discard().catch(() => {});
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  handleUpload,
+  csvUpload,
+  eventFileUpload,
+  matchesSignature
+};
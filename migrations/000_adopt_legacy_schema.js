@@ -0,0 +1,179 @@
+// 000 - Adopt a database built by the old single-script runMigrations (plain
+// CREATE TABLE IF NOT EXISTS, no schema_migrations). Such a database already has
+// the tables of 001-005 (and often certificates, created by hand), but with
+// events.capacity instead of max_participants and without the columns, unique
+// keys and indexes the routes rely on. This brings those tables up to what
+// 001-006 create and records those versions as applied, so the remaining
+// migrations run on top. Every step checks the current schema first, so columns
+// that were already patched in by hand are left alone.
+//
+// On a fresh database (no colleges table) or one already tracked by
+// schema_migrations this does nothing.
+
+const tableExists = async (connection, table) => {
+  const [rows] = await connection.query(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+};
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.query(
+    'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+const addColumn = async (connection, table, column, definition) => {
+  if (!(await columnExists(connection, table, column))) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const addIndex = async (connection, table, index, definition) => {
+  if (!(await indexExists(connection, table, index))) {
+    await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+  }
+};
+
+// The old schema had no unique keys; keep one row per key before adding them
+const removeDuplicates = async (connection, table, columns, keep) => {
+  const join = columns.map(column => `a.${column} = b.${column}`).join(' AND ');
+  await connection.query(`DELETE a FROM ${table} a JOIN ${table} b ON ${join} AND a.id ${keep === 'first' ? '>' : '<'} b.id`);
+};
+
+const adoptUsersTables = async (connection) => {
+  await addColumn(connection, 'students', 'department', 'VARCHAR(100)');
+  await addColumn(connection, 'students', 'year_of_study', 'TINYINT');
+  await addIndex(connection, 'students', 'unique_college_student_id', 'UNIQUE KEY unique_college_student_id (college_id, student_id)');
+};
+
+const adoptEvents = async (connection) => {
+  if (await columnExists(connection, 'events', 'capacity')) {
+    if (await columnExists(connection, 'events', 'max_participants')) {
+      await connection.query('UPDATE events SET max_participants = capacity WHERE max_participants IS NULL');
+      await connection.query('ALTER TABLE events DROP COLUMN capacity');
+    } else {
+      await connection.query('ALTER TABLE events CHANGE COLUMN capacity max_participants INT NOT NULL');
+    }
+  }
+
+  // Old events kept their time in event_date and had no length; assume one hour
+  if (!(await columnExists(connection, 'events', 'start_time'))) {
+    await connection.query('ALTER TABLE events ADD COLUMN start_time TIME NULL AFTER event_date');
+    await connection.query('UPDATE events SET start_time = TIME(event_date)');
+    await connection.query('ALTER TABLE events MODIFY start_time TIME NOT NULL');
+  }
+  if (!(await columnExists(connection, 'events', 'end_time'))) {
+    await connection.query('ALTER TABLE events ADD COLUMN end_time TIME NULL AFTER start_time');
+    await connection.query('UPDATE events SET end_time = TIME(DATE_ADD(CONCAT(DATE(event_date), \' \', start_time), INTERVAL 1 HOUR))');
+    await connection.query('ALTER TABLE events MODIFY end_time TIME NOT NULL');
+  }
+
+  await addColumn(connection, 'events', 'duration_hours', `DECIMAL(5,2) AS (
+    (TIME_TO_SEC(TIMEDIFF(end_time, start_time)) + IF(end_time <= start_time, 86400, 0)) / 3600
+  ) STORED AFTER end_time`);
+  await addColumn(connection, 'events', 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+  await addIndex(connection, 'events', 'idx_events_college_date', 'INDEX idx_events_college_date (college_id, event_date)');
+};
+
+const adoptRegistrations = async (connection) => {
+  if (!(await columnExists(connection, 'registrations', 'attendance_status'))) {
+    await connection.query(`ALTER TABLE registrations ADD COLUMN attendance_status ENUM('registered', 'attended') DEFAULT 'registered' AFTER waitlist_position`);
+    await connection.query(`
+      UPDATE registrations r
+      JOIN attendance a ON a.event_id = r.event_id AND a.student_id = r.student_id
+      SET r.attendance_status = 'attended'
+    `);
+  }
+  await addIndex(connection, 'registrations', 'idx_registrations_event_status', 'INDEX idx_registrations_event_status (event_id, status, waitlist_position)');
+};
+
+const adoptAttendance = async (connection, hasCertificates) => {
+  if (!(await indexExists(connection, 'attendance', 'unique_attendance'))) {
+    // Point certificates at the check-in that is kept before dropping repeats
+    if (hasCertificates && await columnExists(connection, 'certificates', 'attendance_id')) {
+      await connection.query(`
+        UPDATE certificates c
+        JOIN attendance dup ON c.attendance_id = dup.id
+        JOIN (SELECT event_id, student_id, MIN(id) as id FROM attendance GROUP BY event_id, student_id) kept
+          ON kept.event_id = dup.event_id AND kept.student_id = dup.student_id
+        SET c.attendance_id = kept.id
+      `);
+    }
+    await removeDuplicates(connection, 'attendance', ['event_id', 'student_id'], 'first');
+    await connection.query('ALTER TABLE attendance ADD UNIQUE KEY unique_attendance (event_id, student_id)');
+  }
+};
+
+const adoptFeedbackAndNotes = async (connection) => {
+  await addColumn(connection, 'feedback', 'suggestions', 'TEXT AFTER comments');
+  if (!(await indexExists(connection, 'feedback', 'unique_feedback'))) {
+    await removeDuplicates(connection, 'feedback', ['event_id', 'student_id'], 'first');
+    await connection.query('ALTER TABLE feedback ADD UNIQUE KEY unique_feedback (event_id, student_id)');
+  }
+
+  // Notes are edited in place, so the newest duplicate is the one to keep
+  if (!(await indexExists(connection, 'notes', 'unique_note'))) {
+    await removeDuplicates(connection, 'notes', ['event_id', 'student_id'], 'last');
+    await connection.query('ALTER TABLE notes ADD UNIQUE KEY unique_note (event_id, student_id)');
+  }
+};
+
+const adoptCertificates = async (connection) => {
+  await addColumn(connection, 'certificates', 'file_path', 'VARCHAR(255)');
+  await addColumn(connection, 'certificates', 'issued_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+  if (!(await indexExists(connection, 'certificates', 'unique_certificate'))) {
+    await removeDuplicates(connection, 'certificates', ['event_id', 'student_id'], 'first');
+    await connection.query('ALTER TABLE certificates ADD UNIQUE KEY unique_certificate (event_id, student_id)');
+  }
+};
+
+const up = async (connection) => {
+  const [tracked] = await connection.query('SELECT COUNT(*) as count FROM schema_migrations');
+  if (tracked[0].count > 0 || !(await tableExists(connection, 'colleges'))) {
+    return;
+  }
+
+  console.log('Adopting a database created by the old migration script');
+
+  const hasCertificates = await tableExists(connection, 'certificates');
+
+  await adoptUsersTables(connection);
+  await adoptEvents(connection);
+  await adoptRegistrations(connection);
+  await adoptAttendance(connection, hasCertificates);
+  await adoptFeedbackAndNotes(connection);
+
+  const adopted = [
+    ['001', 'create_colleges_and_users'],
+    ['002', 'create_events'],
+    ['003', 'create_registrations'],
+    ['004', 'create_attendance'],
+    ['005', 'create_feedback_and_notes']
+  ];
+
+  // Without a certificates table 006 simply runs next
+  if (hasCertificates) {
+    await adoptCertificates(connection);
+    adopted.push(['006', 'create_certificates']);
+  }
+
+  await connection.query('INSERT INTO schema_migrations (version, name) VALUES ?', [adopted]);
+};
+
+module.exports = {
+  up,
+  // Nothing to undo: rolling back 001-006 afterwards drops the adopted tables
+  down: []
+};
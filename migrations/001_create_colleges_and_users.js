@@ -0,0 +1,46 @@
+// 001 - Colleges, students and admins
+
+module.exports = {
+  up: [
+    `CREATE TABLE colleges (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE students (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      student_id VARCHAR(50) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      department VARCHAR(100),
+      year_of_study TINYINT,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_college_student_id (college_id, student_id)
+    )`,
+
+    `CREATE TABLE admins (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      role ENUM('admin', 'super_admin') DEFAULT 'admin',
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE admins',
+    'DROP TABLE students',
+    'DROP TABLE colleges'
+  ]
+};
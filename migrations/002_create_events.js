@@ -0,0 +1,34 @@
+// 002 - Events
+
+module.exports = {
+  up: [
+    `CREATE TABLE events (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      event_date DATETIME NOT NULL,
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      duration_hours DECIMAL(5,2) AS (
+        (TIME_TO_SEC(TIMEDIFF(end_time, start_time)) + IF(end_time <= start_time, 86400, 0)) / 3600
+      ) STORED,
+      venue VARCHAR(255),
+      max_participants INT NOT NULL,
+      category VARCHAR(100),
+      status ENUM('draft', 'active', 'completed', 'cancelled') DEFAULT 'draft',
+      qr_secret VARCHAR(255),
+      qr_code TEXT,
+      created_by INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES admins(id),
+      INDEX idx_events_college_date (college_id, event_date)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE events'
+  ]
+};
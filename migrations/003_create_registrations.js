@@ -0,0 +1,24 @@
+// 003 - Registrations and waitlist
+
+module.exports = {
+  up: [
+    `CREATE TABLE registrations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      event_id INT NOT NULL,
+      student_id INT NOT NULL,
+      college_id INT NOT NULL,
+      status ENUM('registered', 'waitlisted', 'cancelled') DEFAULT 'registered',
+      waitlist_position INT,
+      attendance_status ENUM('registered', 'attended') DEFAULT 'registered',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_registration (event_id, student_id),
+      INDEX idx_registrations_event_status (event_id, status, waitlist_position)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE registrations'
+  ]
+};
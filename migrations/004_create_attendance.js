@@ -0,0 +1,20 @@
+// 004 - Attendance, one check-in row per student and event
+
+module.exports = {
+  up: [
+    `CREATE TABLE attendance (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      event_id INT NOT NULL,
+      student_id INT NOT NULL,
+      college_id INT NOT NULL,
+      checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_attendance (event_id, student_id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE attendance'
+  ]
+};
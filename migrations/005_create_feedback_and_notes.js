@@ -0,0 +1,37 @@
+// 005 - Feedback and student notes
+
+module.exports = {
+  up: [
+    `CREATE TABLE feedback (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      event_id INT NOT NULL,
+      student_id INT NOT NULL,
+      college_id INT NOT NULL,
+      rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+      comments TEXT,
+      suggestions TEXT,
+      anonymous BOOLEAN DEFAULT false,
+      submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_feedback (event_id, student_id)
+    )`,
+
+    `CREATE TABLE notes (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      event_id INT NOT NULL,
+      student_id INT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_note (event_id, student_id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE notes',
+    'DROP TABLE feedback'
+  ]
+};
@@ -0,0 +1,25 @@
+// 006 - Certificates
+
+module.exports = {
+  up: [
+    `CREATE TABLE certificates (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      event_id INT NOT NULL,
+      student_id INT NOT NULL,
+      attendance_id INT NOT NULL,
+      certificate_id VARCHAR(36) UNIQUE NOT NULL,
+      file_path VARCHAR(255),
+      issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      FOREIGN KEY (attendance_id) REFERENCES attendance(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_certificate (event_id, student_id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE certificates'
+  ]
+};
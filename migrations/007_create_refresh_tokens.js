@@ -0,0 +1,25 @@
+// 007 - Server-side refresh tokens for session rotation and revocation
+
+module.exports = {
+  up: [
+    `CREATE TABLE refresh_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      user_type ENUM('student', 'admin') NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      family_id CHAR(36) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      replaced_by INT,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_refresh_tokens_user (user_type, user_id),
+      INDEX idx_refresh_tokens_family (family_id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE refresh_tokens'
+  ]
+};
@@ -0,0 +1,20 @@
+// 008 - Single-use password reset tokens
+
+module.exports = {
+  up: [
+    `CREATE TABLE password_reset_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      user_type ENUM('student', 'admin') NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_password_reset_user (user_type, user_id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE password_reset_tokens'
+  ]
+};
@@ -0,0 +1,35 @@
+// 009 - Student email verification and per-college allowed email domains
+
+module.exports = {
+  up: [
+    `CREATE TABLE college_email_domains (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      domain VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_college_domain (college_id, domain)
+    )`,
+
+    'ALTER TABLE students ADD COLUMN email_verified_at DATETIME NULL AFTER email',
+
+    // Accounts created before verification existed stay usable
+    'UPDATE students SET email_verified_at = created_at',
+
+    `CREATE TABLE email_verification_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      student_id INT NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE email_verification_tokens',
+    'ALTER TABLE students DROP COLUMN email_verified_at',
+    'DROP TABLE college_email_domains'
+  ]
+};
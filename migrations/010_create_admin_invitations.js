@@ -0,0 +1,25 @@
+// 010 - Single-use admin invitations issued by super admins
+
+module.exports = {
+  up: [
+    `CREATE TABLE admin_invitations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      role ENUM('admin', 'super_admin') DEFAULT 'admin',
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      invited_by INT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      accepted_at DATETIME,
+      revoked_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      FOREIGN KEY (invited_by) REFERENCES admins(id),
+      INDEX idx_admin_invitations_email (email)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE admin_invitations'
+  ]
+};
@@ -0,0 +1,25 @@
+// 011 - Event banner images and attachments stored under uploads/events/<event_id>/
+
+module.exports = {
+  up: [
+    `CREATE TABLE event_files (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      event_id INT NOT NULL,
+      college_id INT NOT NULL,
+      kind ENUM('banner', 'attachment') NOT NULL,
+      original_name VARCHAR(255) NOT NULL,
+      stored_name VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      size_bytes INT NOT NULL,
+      uploaded_by INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (uploaded_by) REFERENCES admins(id),
+      INDEX idx_event_files_event (event_id, kind)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE event_files'
+  ]
+};
@@ -0,0 +1,11 @@
+// 012 - Secret token for each student's iCalendar feed URL
+
+module.exports = {
+  up: [
+    'ALTER TABLE students ADD COLUMN calendar_token_hash CHAR(64) NULL UNIQUE'
+  ],
+
+  down: [
+    'ALTER TABLE students DROP COLUMN calendar_token_hash'
+  ]
+};
@@ -0,0 +1,33 @@
+// 013 - In-app notifications and per-student notification preferences
+
+module.exports = {
+  up: [
+    `CREATE TABLE notifications (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      student_id INT NOT NULL,
+      college_id INT NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSON,
+      read_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      INDEX idx_notifications_student (student_id, read_at, created_at)
+    )`,
+
+    `CREATE TABLE notification_preferences (
+      student_id INT NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id, type),
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE notification_preferences',
+    'DROP TABLE notifications'
+  ]
+};
@@ -0,0 +1,36 @@
+// 014 - Background jobs and per-recipient delivery log used to keep jobs idempotent
+
+module.exports = {
+  up: [
+    `CREATE TABLE jobs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      type VARCHAR(50) NOT NULL,
+      unique_key VARCHAR(191) NOT NULL UNIQUE,
+      payload JSON,
+      status ENUM('pending', 'running', 'completed', 'failed') DEFAULT 'pending',
+      run_at DATETIME NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 5,
+      locked_by VARCHAR(255),
+      locked_at DATETIME,
+      last_error TEXT,
+      completed_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_jobs_due (status, run_at)
+    )`,
+
+    `CREATE TABLE job_deliveries (
+      job_id INT NOT NULL,
+      student_id INT NOT NULL,
+      delivered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (job_id, student_id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE job_deliveries',
+    'DROP TABLE jobs'
+  ]
+};
@@ -0,0 +1,11 @@
+// 015 - Full-text search over event title, description and venue
+
+module.exports = {
+  up: [
+    'ALTER TABLE events ADD FULLTEXT INDEX ft_events_search (title, description, venue)'
+  ],
+
+  down: [
+    'ALTER TABLE events DROP INDEX ft_events_search'
+  ]
+};
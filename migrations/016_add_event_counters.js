@@ -0,0 +1,30 @@
+// 016 - Registration and feedback counters on events, kept up to date by
+// utils/eventStats.js so the events listing needs no per-row subqueries
+
+module.exports = {
+  up: [
+    `ALTER TABLE events
+      ADD COLUMN registered_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN waitlist_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN feedback_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN avg_rating DECIMAL(3,2),
+      ADD INDEX idx_events_college_popularity (college_id, registered_count)`,
+
+    // Backfill; updated_at = updated_at keeps the edit timestamp untouched
+    `UPDATE events e SET
+      registered_count = (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'registered'),
+      waitlist_count = (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'waitlisted'),
+      feedback_count = (SELECT COUNT(*) FROM feedback f WHERE f.event_id = e.id),
+      avg_rating = (SELECT AVG(f.rating) FROM feedback f WHERE f.event_id = e.id),
+      updated_at = updated_at`
+  ],
+
+  down: [
+    `ALTER TABLE events
+      DROP INDEX idx_events_college_popularity,
+      DROP COLUMN registered_count,
+      DROP COLUMN waitlist_count,
+      DROP COLUMN feedback_count,
+      DROP COLUMN avg_rating`
+  ]
+};
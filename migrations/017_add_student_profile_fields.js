@@ -0,0 +1,17 @@
+// 017 - Student contact preferences and self-deactivation
+
+module.exports = {
+  up: [
+    `ALTER TABLE students
+      ADD COLUMN phone VARCHAR(30),
+      ADD COLUMN email_notifications BOOLEAN NOT NULL DEFAULT true,
+      ADD COLUMN deactivated_at DATETIME`
+  ],
+
+  down: [
+    `ALTER TABLE students
+      DROP COLUMN phone,
+      DROP COLUMN email_notifications,
+      DROP COLUMN deactivated_at`
+  ]
+};
@@ -0,0 +1,25 @@
+// 018 - Signed co-curricular transcripts. content holds the exact JSON that was
+// signed, so it is TEXT rather than JSON (MySQL would reorder the keys).
+
+module.exports = {
+  up: [
+    `CREATE TABLE transcripts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      student_id INT NOT NULL,
+      verification_code VARCHAR(20) NOT NULL UNIQUE,
+      content MEDIUMTEXT NOT NULL,
+      signature CHAR(64) NOT NULL,
+      generated_by_type ENUM('student', 'admin') NOT NULL,
+      generated_by_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      INDEX idx_transcripts_student (student_id, created_at)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE transcripts'
+  ]
+};
@@ -0,0 +1,60 @@
+// 019 - Category ratings on feedback and custom feedback surveys. A survey is
+// either a college template (is_template, no event) or attached to one event;
+// applying a template copies its questions so later edits never change an
+// event whose answers are already collected.
+
+module.exports = {
+  up: [
+    `ALTER TABLE feedback
+      ADD COLUMN quality_rating TINYINT CHECK (quality_rating BETWEEN 1 AND 5),
+      ADD COLUMN relevance_rating TINYINT CHECK (relevance_rating BETWEEN 1 AND 5),
+      ADD COLUMN organization_rating TINYINT CHECK (organization_rating BETWEEN 1 AND 5)`,
+
+    `CREATE TABLE surveys (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      event_id INT UNIQUE,
+      title VARCHAR(255) NOT NULL,
+      is_template BOOLEAN NOT NULL DEFAULT false,
+      created_by INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES admins(id)
+    )`,
+
+    `CREATE TABLE survey_questions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      survey_id INT NOT NULL,
+      position INT NOT NULL,
+      type ENUM('rating', 'choice', 'text') NOT NULL,
+      prompt VARCHAR(500) NOT NULL,
+      options JSON,
+      required BOOLEAN NOT NULL DEFAULT false,
+      FOREIGN KEY (survey_id) REFERENCES surveys(id) ON DELETE CASCADE,
+      INDEX idx_survey_questions_survey (survey_id, position)
+    )`,
+
+    `CREATE TABLE feedback_answers (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      feedback_id INT NOT NULL,
+      question_id INT NOT NULL,
+      rating_value TINYINT,
+      choice_value VARCHAR(255),
+      text_value TEXT,
+      FOREIGN KEY (feedback_id) REFERENCES feedback(id) ON DELETE CASCADE,
+      FOREIGN KEY (question_id) REFERENCES survey_questions(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_answer (feedback_id, question_id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE feedback_answers',
+    'DROP TABLE survey_questions',
+    'DROP TABLE surveys',
+    `ALTER TABLE feedback
+      DROP COLUMN quality_rating,
+      DROP COLUMN relevance_rating,
+      DROP COLUMN organization_rating`
+  ]
+};
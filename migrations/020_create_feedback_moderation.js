@@ -0,0 +1,39 @@
+// 020 - Feedback moderation. Hidden feedback stays stored but is left out of
+// every average; organizer responses are shown to the student who wrote it.
+// feedback_moderation_log keeps who did what to each entry and why.
+
+module.exports = {
+  up: [
+    `ALTER TABLE feedback
+      ADD COLUMN flagged_at DATETIME,
+      ADD COLUMN hidden_at DATETIME,
+      ADD COLUMN response TEXT,
+      ADD COLUMN responded_by INT,
+      ADD COLUMN responded_at DATETIME,
+      ADD CONSTRAINT fk_feedback_responded_by FOREIGN KEY (responded_by) REFERENCES admins(id) ON DELETE SET NULL`,
+
+    `CREATE TABLE feedback_moderation_log (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      feedback_id INT NOT NULL,
+      college_id INT NOT NULL,
+      admin_id INT,
+      action ENUM('flag', 'unflag', 'hide', 'unhide', 'respond', 'remove_response') NOT NULL,
+      reason VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (feedback_id) REFERENCES feedback(id) ON DELETE CASCADE,
+      FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE SET NULL,
+      INDEX idx_feedback_moderation_feedback (feedback_id, created_at)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE feedback_moderation_log',
+    `ALTER TABLE feedback
+      DROP FOREIGN KEY fk_feedback_responded_by,
+      DROP COLUMN flagged_at,
+      DROP COLUMN hidden_at,
+      DROP COLUMN response,
+      DROP COLUMN responded_by,
+      DROP COLUMN responded_at`
+  ]
+};
@@ -0,0 +1,21 @@
+// 021 - Check-out times on attendance and per-event attendance rules.
+// late_grace_minutes: arrivals within this many minutes of the start count as
+// on time. min_attendance_percent: share of the scheduled time a student must
+// attend to earn a certificate (0 keeps every attendee eligible).
+
+module.exports = {
+  up: [
+    'ALTER TABLE attendance ADD COLUMN checked_out_at DATETIME',
+
+    `ALTER TABLE events
+      ADD COLUMN late_grace_minutes INT NOT NULL DEFAULT 15,
+      ADD COLUMN min_attendance_percent TINYINT NOT NULL DEFAULT 0 CHECK (min_attendance_percent BETWEEN 0 AND 100)`
+  ],
+
+  down: [
+    `ALTER TABLE events
+      DROP COLUMN late_grace_minutes,
+      DROP COLUMN min_attendance_percent`,
+    'ALTER TABLE attendance DROP COLUMN checked_out_at'
+  ]
+};
@@ -0,0 +1,32 @@
+// 022 - Outcomes of offline check-ins uploaded by scanning devices, keyed by the
+// device's idempotency key so a retried upload is answered from here instead of
+// being applied again
+
+module.exports = {
+  up: [
+    `CREATE TABLE attendance_sync_items (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      college_id INT NOT NULL,
+      event_id INT NOT NULL,
+      idempotency_key VARCHAR(100) NOT NULL,
+      device_id VARCHAR(100) NOT NULL,
+      student_id INT NOT NULL,
+      action ENUM('check_in', 'check_out') NOT NULL,
+      recorded_at DATETIME NOT NULL,
+      status VARCHAR(30) NOT NULL,
+      attendance_id INT,
+      synced_by INT,
+      synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+      FOREIGN KEY (attendance_id) REFERENCES attendance(id) ON DELETE SET NULL,
+      FOREIGN KEY (synced_by) REFERENCES admins(id) ON DELETE SET NULL,
+      UNIQUE KEY unique_sync_key (college_id, idempotency_key)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE attendance_sync_items'
+  ]
+};
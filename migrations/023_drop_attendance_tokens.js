@@ -0,0 +1,13 @@
+// 023 - Drop attendance_tokens. It stored redeemed QR tokens per student, which
+// the unique attendance row already covers; it never stopped a shared code (see
+// utils/attendanceToken.js). 004 no longer creates the table, so this only
+// removes it from databases migrated before that change.
+
+module.exports = {
+  up: [
+    'DROP TABLE IF EXISTS attendance_tokens'
+  ],
+
+  // Nothing to restore: no migration creates the table any more
+  down: []
+};
@@ -0,0 +1,12 @@
+// 024 - certificates.file_path held the public /certificates/<id>.pdf URL, which
+// is no longer served; store the file's location relative to the project root
+
+module.exports = {
+  up: [
+    "UPDATE certificates SET file_path = CONCAT('certificates/', certificate_id, '.pdf')"
+  ],
+
+  down: [
+    "UPDATE certificates SET file_path = CONCAT('/certificates/', certificate_id, '.pdf')"
+  ]
+};
@@ -0,0 +1,12 @@
+// 025 - Last change of each registration, so calendar feeds can raise an
+// event's SEQUENCE when the student cancels or moves off the waitlist
+
+module.exports = {
+  up: [
+    'ALTER TABLE registrations ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+  ],
+
+  down: [
+    'ALTER TABLE registrations DROP COLUMN updated_at'
+  ]
+};
@@ -1,132 +1,152 @@
+const fs = require('fs');
+const path = require('path');
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 
+// Usage:
+//   node migrations/runMigrations.js [up]         apply all pending migrations
+//   node migrations/runMigrations.js down [steps] roll back the last <steps> migrations (default 1)
+//   node migrations/runMigrations.js status       list applied and pending migrations
+//
+// Migrations live next to this file as NNN_description.js and export
+// { up, down }, each an array of SQL statements or an async function(connection).
+// A migration may record other versions as applied (000 does so when adopting a
+// database built by the old schema script); those are then skipped.
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+)\.js$/;
+
+function loadMigrations() {
+  return fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      return { version, name, ...require(path.join(__dirname, file)) };
+    });
+}
+
+async function runSteps(connection, steps) {
+  if (typeof steps === 'function') {
+    return steps(connection);
+  }
+
+  for (const statement of steps) {
+    await connection.query(statement);
+  }
+}
+
+async function getAppliedVersions(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+async function migrateUp(connection, migrations, applied) {
+  const pending = migrations.filter(m => !applied.includes(m.version));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  let count = 0;
+  for (const migration of pending) {
+    const [recorded] = await connection.execute('SELECT 1 FROM schema_migrations WHERE version = ?', [migration.version]);
+    if (recorded.length > 0) {
+      continue;
+    }
+
+    console.log(`Applying ${migration.version}_${migration.name}`);
+    await runSteps(connection, migration.up);
+    await connection.execute(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+    count++;
+  }
+
+  console.log(`Applied ${count} migration(s)`);
+}
+
+async function migrateDown(connection, migrations, applied, steps) {
+  const toRollback = migrations
+    .filter(m => applied.includes(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  if (toRollback.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  for (const migration of toRollback) {
+    console.log(`Rolling back ${migration.version}_${migration.name}`);
+    await runSteps(connection, migration.down);
+    await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  }
+
+  console.log(`Rolled back ${toRollback.length} migration(s)`);
+}
+
+function printStatus(migrations, applied) {
+  for (const migration of migrations) {
+    const state = applied.includes(migration.version) ? 'applied' : 'pending';
+    console.log(`${state.padEnd(8)} ${migration.version}_${migration.name}`);
+  }
+
+  const unknown = applied.filter(version => !migrations.some(m => m.version === version));
+  for (const version of unknown) {
+    console.log(`missing  ${version} (applied but no migration file found)`);
+  }
+}
+
 async function runMigrations() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const dbName = process.env.DB_NAME || 'unievent';
   let connection;
-  
+
   try {
+    if (!['up', 'down', 'status'].includes(command)) {
+      throw new Error(`Unknown command "${command}", expected up, down or status`);
+    }
+
+    const steps = stepsArg === undefined ? 1 : parseInt(stepsArg);
+    if (command === 'down' && !(steps > 0)) {
+      throw new Error('Rollback steps must be a positive integer');
+    }
+
     connection = await mysql.createConnection({
       host: process.env.DB_HOST || 'localhost',
       user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASSWORD || 'Spoo@109'
+      password: process.env.DB_PASSWORD
     });
 
     console.log('Connected to MySQL server');
 
-    await connection.execute(`CREATE DATABASE IF NOT EXISTS \`${process.env.DB_NAME || 'unievent'}\``);
-    console.log('Database created/verified');
-    
-    await connection.changeUser({ database: process.env.DB_NAME || 'unievent' });
-    console.log('Connected to database');
-
-    const schemas = [
-      `CREATE TABLE IF NOT EXISTS colleges (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        name VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS students (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        college_id INT NOT NULL,
-        student_id VARCHAR(50) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100) NOT NULL,
-        last_name VARCHAR(100) NOT NULL,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS admins (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        college_id INT NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100) NOT NULL,
-        last_name VARCHAR(100) NOT NULL,
-        role ENUM('admin', 'super_admin') DEFAULT 'admin',
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS events (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        college_id INT NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        event_date DATETIME NOT NULL,
-        venue VARCHAR(255),
-        capacity INT NOT NULL,
-        category VARCHAR(100),
-        status ENUM('draft', 'active', 'completed', 'cancelled') DEFAULT 'draft',
-        qr_secret VARCHAR(255),
-        qr_code TEXT,
-        created_by INT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE CASCADE,
-        FOREIGN KEY (created_by) REFERENCES admins(id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS registrations (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        event_id INT NOT NULL,
-        student_id INT NOT NULL,
-        college_id INT NOT NULL,
-        status ENUM('registered', 'waitlisted', 'cancelled') DEFAULT 'registered',
-        waitlist_position INT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
-        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
-        UNIQUE KEY unique_registration (event_id, student_id)
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS attendance (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        event_id INT NOT NULL,
-        student_id INT NOT NULL,
-        college_id INT NOT NULL,
-        checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
-        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS feedback (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        event_id INT NOT NULL,
-        student_id INT NOT NULL,
-        college_id INT NOT NULL,
-        rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
-        comments TEXT,
-        anonymous BOOLEAN DEFAULT false,
-        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
-        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS notes (
-        id INT PRIMARY KEY AUTO_INCREMENT,
-        event_id INT NOT NULL,
-        student_id INT NOT NULL,
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
-        FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
-      )`
-    ];
-
-    for (const schema of schemas) {
-      await connection.execute(schema);
-    }
+    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\``);
+    await connection.changeUser({ database: dbName });
 
-    console.log('All migrations completed successfully!');
+    const migrations = loadMigrations();
+    const applied = await getAppliedVersions(connection);
+
+    if (command === 'up') {
+      await migrateUp(connection, migrations, applied);
+    } else if (command === 'down') {
+      await migrateDown(connection, migrations, applied, steps);
+    } else {
+      printStatus(migrations, applied);
+    }
 
   } catch (error) {
     console.error('Migration error:', error);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     if (connection) {
       await connection.end();
@@ -134,4 +154,4 @@ async function runMigrations() {
   }
 }
 
-runMigrations();
\ No newline at end of file
+runMigrations();
@@ -2,6 +2,14 @@ const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { issueCertificates } = require('../utils/certificate');
+const { normalizeDomain, isEmailDomainAllowed } = require('../utils/emailVerification');
+const { csvUpload } = require('../middleware/upload');
+const { MAX_ROSTER_ROWS, UNUSABLE_PASSWORD_HASH, parseRoster, validateRosterRow } = require('../utils/rosterImport');
+const { createPasswordResetLink } = require('../utils/passwordReset');
+const { sendMail } = require('../utils/mailer');
+
+const ROSTER_INVITE_TTL_DAYS = parseInt(process.env.ROSTER_INVITE_TTL_DAYS) || 7;
 
 const router = express.Router();
 
@@ -35,55 +43,18 @@ router.post('/bulk-certificates', authenticateToken, requireRole(['admin']), req
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { event_id } = req.body;
-
-    // Get all attendees who don't have certificates yet
-    const [attendees] = await db.execute(`
-      SELECT a.id as attendance_id, a.student_id, s.first_name, s.last_name, e.title, e.event_date, e.duration_hours, c.name as college_name
-      FROM attendance a
-      JOIN students s ON a.student_id = s.id
-      JOIN events e ON a.event_id = e.id
-      JOIN colleges c ON a.college_id = c.id
-      LEFT JOIN certificates cert ON a.event_id = cert.event_id AND a.student_id = cert.student_id
-      WHERE a.event_id = ? AND a.college_id = ? AND cert.id IS NULL
-    `, [event_id, req.user.college_id]);
+    const { generated, failed, ineligible } = await issueCertificates(req.body.event_id, req.user.college_id);
 
-    if (attendees.length === 0) {
+    if (generated.length === 0 && failed.length === 0 && ineligible.length === 0) {
       return res.status(400).json({ error: 'No attendees found or all certificates already generated' });
     }
 
-    const generated = [];
-    const failed = [];
-
-    for (const attendee of attendees) {
-      try {
-        // Generate certificate logic here (similar to single certificate generation)
-        const certificateId = require('uuid').v4();
-        
-        await db.execute(
-          'INSERT INTO certificates (college_id, event_id, student_id, attendance_id, certificate_id) VALUES (?, ?, ?, ?, ?)',
-          [req.user.college_id, event_id, attendee.student_id, attendee.attendance_id, certificateId]
-        );
-
-        generated.push({
-          student_id: attendee.student_id,
-          student_name: `${attendee.first_name} ${attendee.last_name}`,
-          certificate_id: certificateId
-        });
-      } catch (error) {
-        failed.push({
-          student_id: attendee.student_id,
-          student_name: `${attendee.first_name} ${attendee.last_name}`,
-          error: error.message
-        });
-      }
-    }
-
     res.json({
       message: `Bulk certificate generation completed`,
       generated: generated.length,
       failed: failed.length,
-      details: { generated, failed }
+      ineligible: ineligible.length,
+      details: { generated, failed, ineligible }
     });
 
   } catch (error) {
@@ -139,4 +110,220 @@ router.get('/students', authenticateToken, requireRole(['admin']), requireSameCo
   }
 });
 
+// Import a student roster from CSV (create or update by student_id)
+router.post('/students/import', authenticateToken, requireRole(['admin']), requireSameCollege, csvUpload, [
+  query('dry_run').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'CSV file is required in the "file" field' });
+  }
+
+  let roster;
+  try {
+    roster = parseRoster(req.file.buffer);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse CSV: ${error.message}` });
+  }
+
+  if (roster.rows.length === 0) {
+    return res.status(400).json({ error: 'CSV contains no student rows' });
+  }
+  if (roster.missingColumns.length > 0) {
+    return res.status(400).json({ error: `Missing required column(s): ${roster.missingColumns.join(', ')}` });
+  }
+  if (roster.rows.length > MAX_ROSTER_ROWS) {
+    return res.status(400).json({ error: `CSV has ${roster.rows.length} rows, the maximum is ${MAX_ROSTER_ROWS}` });
+  }
+
+  const dryRun = req.query.dry_run === 'true';
+  const results = [];
+  const createdStudents = [];
+  const seenStudentIds = new Set();
+  const seenEmails = new Set();
+  // Dry run only: emails that earlier rows moved a student off, as a real import would have
+  const releasedEmails = new Map();
+  const connection = await db.getConnection();
+
+  try {
+    // Dry runs only read: the same lookups without locks, outcomes decided by comparing values
+    if (!dryRun) await connection.beginTransaction();
+
+    for (const { line, data } of roster.rows) {
+      const { errors: rowErrors, row } = validateRosterRow(data);
+      const result = { row: line, student_id: row.student_id, email: row.email };
+      results.push(result);
+
+      if (seenStudentIds.has(row.student_id)) rowErrors.push('student_id appears more than once in the file');
+      if (seenEmails.has(row.email)) rowErrors.push('email appears more than once in the file');
+      seenStudentIds.add(row.student_id);
+      seenEmails.add(row.email);
+
+      if (rowErrors.length === 0 && !(await isEmailDomainAllowed(req.user.college_id, row.email, connection))) {
+        rowErrors.push('email domain is not allowed for this college');
+      }
+
+      if (rowErrors.length > 0) {
+        Object.assign(result, { status: 'rejected', errors: rowErrors });
+        continue;
+      }
+
+      const [byStudentId] = await connection.execute(
+        `SELECT id, email, first_name, last_name, department, year_of_study FROM students WHERE college_id = ? AND student_id = ?${dryRun ? '' : ' FOR UPDATE'}`,
+        [req.user.college_id, row.student_id]
+      );
+      const [byEmail] = await connection.execute(
+        'SELECT id FROM students WHERE email = ? UNION ALL SELECT 0 FROM admins WHERE email = ?',
+        [row.email, row.email]
+      );
+      const existing = byStudentId[0];
+      const existingId = existing ? existing.id : null;
+
+      if (byEmail.some(match => match.id !== existingId && releasedEmails.get(row.email) !== match.id)) {
+        Object.assign(result, { status: 'rejected', errors: ['email already belongs to another account'] });
+        continue;
+      }
+
+      if (dryRun) {
+        if (!existing) {
+          Object.assign(result, { status: 'created' });
+          continue;
+        }
+
+        const changed = ['email', 'first_name', 'last_name', 'department', 'year_of_study'].some(field => existing[field] !== row[field]);
+        if (existing.email !== row.email) releasedEmails.set(existing.email, existing.id);
+        Object.assign(result, { status: changed ? 'updated' : 'unchanged', id: existingId });
+        continue;
+      }
+
+      if (existingId) {
+        const [update] = await connection.execute(
+          'UPDATE students SET email = ?, first_name = ?, last_name = ?, department = ?, year_of_study = ? WHERE id = ?',
+          [row.email, row.first_name, row.last_name, row.department, row.year_of_study, existingId]
+        );
+        Object.assign(result, { status: update.changedRows > 0 ? 'updated' : 'unchanged', id: existingId });
+      } else {
+        const [insert] = await connection.execute(
+          'INSERT INTO students (college_id, student_id, email, password_hash, first_name, last_name, department, year_of_study) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [req.user.college_id, row.student_id, row.email, UNUSABLE_PASSWORD_HASH, row.first_name, row.last_name, row.department, row.year_of_study]
+        );
+        Object.assign(result, { status: 'created', id: insert.insertId });
+        createdStudents.push({ id: insert.insertId, email: row.email, first_name: row.first_name });
+      }
+    }
+
+    if (!dryRun) await connection.commit();
+  } catch (error) {
+    if (!dryRun) await connection.rollback();
+    console.error('Roster import error:', error);
+    return res.status(500).json({ error: 'Failed to import roster' });
+  } finally {
+    connection.release();
+  }
+
+  // New accounts get a link to choose their password (which also verifies the email)
+  let invitationsFailed = 0;
+  if (!dryRun) {
+    for (const student of createdStudents) {
+      try {
+        const link = await createPasswordResetLink(student.id, 'student', ROSTER_INVITE_TTL_DAYS * 24 * 60);
+        await sendMail({
+          to: student.email,
+          subject: 'Your UniEvent account is ready',
+          text: `Hi ${student.first_name},\n\nYour college has created a UniEvent account for you. Choose a password to get started (link valid for ${ROSTER_INVITE_TTL_DAYS} days):\n\n${link}`
+        });
+      } catch (error) {
+        invitationsFailed++;
+        console.error(`Roster invitation error for student ${student.id}:`, error);
+      }
+    }
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+
+  res.status(dryRun ? 200 : 201).json({
+    message: dryRun ? 'Dry run completed, nothing was saved' : 'Roster import completed',
+    dry_run: dryRun,
+    summary: {
+      total: results.length,
+      created: count('created'),
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      rejected: count('rejected'),
+      invitations_failed: invitationsFailed
+    },
+    rows: results
+  });
+});
+
+// List the college's allowed student email domains
+router.get('/email-domains', authenticateToken, requireRole(['admin']), requireSameCollege, async (req, res) => {
+  try {
+    const [domains] = await db.execute(
+      'SELECT id, domain, created_at FROM college_email_domains WHERE college_id = ? ORDER BY domain',
+      [req.user.college_id]
+    );
+
+    res.json({ domains });
+  } catch (error) {
+    console.error('Get email domains error:', error);
+    res.status(500).json({ error: 'Failed to fetch email domains' });
+  }
+});
+
+// Allow an email domain for student sign-up
+router.post('/email-domains', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  body('domain').customSanitizer(value => (typeof value === 'string' ? normalizeDomain(value) : value)).isFQDN()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [result] = await db.execute(
+      'INSERT INTO college_email_domains (college_id, domain) VALUES (?, ?)',
+      [req.user.college_id, req.body.domain]
+    );
+
+    res.status(201).json({ message: 'Email domain added', id: result.insertId, domain: req.body.domain });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Email domain already allowed' });
+    }
+    console.error('Add email domain error:', error);
+    res.status(500).json({ error: 'Failed to add email domain' });
+  }
+});
+
+// Remove an allowed email domain
+router.delete('/email-domains/:id', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [result] = await db.execute(
+      'DELETE FROM college_email_domains WHERE id = ? AND college_id = ?',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Email domain not found' });
+    }
+
+    res.json({ message: 'Email domain removed' });
+  } catch (error) {
+    console.error('Remove email domain error:', error);
+    res.status(500).json({ error: 'Failed to remove email domain' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
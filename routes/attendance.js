@@ -2,74 +2,299 @@ const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { decodeToken, verifyToken } = require('../utils/attendanceToken');
+const { isWithinCheckinWindow, isWithinCheckoutWindow, summarizeAttendance } = require('../utils/eventTime');
+const { SYNC_BATCH_LIMIT, validateSyncItem, syncItem } = require('../utils/attendanceSync');
 
 const router = express.Router();
 
-// Mark attendance manually (Admin only)
+// Event columns summarizeAttendance needs
+const ATTENDANCE_RULE_FIELDS = 'event_date, start_time, end_time, duration_hours, late_grace_minutes, min_attendance_percent';
+
+const notInFuture = value => value <= new Date();
+
+// Resolve a scanned QR token to its event. Returns { event } or { error: [status, message] }.
+const resolveQrToken = async (conn, qrData, collegeId) => {
+  const decoded = decodeToken(qrData);
+  if (!decoded) return { error: [400, 'Invalid QR code'] };
+
+  const [events] = await conn.execute(
+    `SELECT id, college_id, status, qr_secret, ${ATTENDANCE_RULE_FIELDS} FROM events WHERE id = ? AND college_id = ?`,
+    [decoded.e, collegeId]
+  );
+  if (events.length === 0) return { error: [400, 'Invalid QR code'] };
+
+  const event = events[0];
+  const tokenStatus = verifyToken(qrData, event);
+  if (tokenStatus === 'invalid') return { error: [400, 'Invalid QR code'] };
+  if (tokenStatus === 'expired') return { error: [400, 'QR code expired, scan the current code'] };
+
+  return { event };
+};
+
+// Mark attendance manually (Admin only). checked_in_at records a past arrival, e.g. from a paper sheet.
 router.post('/manual', authenticateToken, requireRole(['admin']), requireSameCollege, [
   body('event_id').isInt(),
-  body('student_id').isInt()
+  body('student_id').isInt(),
+  body('checked_in_at').optional().isISO8601().toDate().custom(notInFuture).withMessage('checked_in_at cannot be in the future')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { event_id, student_id } = req.body;
+    const { event_id, student_id, checked_in_at } = req.body;
+
+    const [events] = await db.execute(
+      'SELECT id, status FROM events WHERE id = ? AND college_id = ?',
+      [event_id, req.user.college_id]
+    );
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+    // Late entries are allowed after the event, but never for drafts or cancelled events
+    if (!['active', 'completed'].includes(events[0].status)) return res.status(400).json({ error: 'Event is not active' });
 
     // Check if student is registered
-    // CORRECTED: Changed 'status' to 'attendance_status' to match your database schema
     const [registration] = await db.execute(
-      'SELECT id FROM registrations WHERE event_id = ? AND student_id = ? AND attendance_status = "registered"',
-      [event_id, student_id]
+      'SELECT id, status, attendance_status FROM registrations WHERE event_id = ? AND student_id = ? AND college_id = ?',
+      [event_id, student_id, req.user.college_id]
     );
-    if (registration.length === 0) return res.status(400).json({ error: 'Student not registered for this event' });
+    if (registration.length === 0 || registration[0].status !== 'registered') {
+      return res.status(400).json({ error: 'Student not registered for this event' });
+    }
+    if (registration[0].attendance_status === 'attended') {
+      return res.status(400).json({ error: 'Attendance already marked' });
+    }
 
     // Mark attendance
     await db.execute(
-      'INSERT INTO attendance (college_id, event_id, student_id) VALUES (?, ?, ?)',
-      [req.user.college_id, event_id, student_id]
+      'INSERT INTO attendance (college_id, event_id, student_id, checked_in_at) VALUES (?, ?, ?, COALESCE(?, NOW()))',
+      [req.user.college_id, event_id, student_id, checked_in_at ?? null]
+    );
+    await db.execute(
+      'UPDATE registrations SET attendance_status = "attended" WHERE id = ?',
+      [registration[0].id]
     );
 
     res.json({ message: 'Attendance marked successfully' });
   } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(400).json({ error: 'Attendance already marked' });
     console.error('Mark attendance error:', error);
     res.status(500).json({ error: 'Failed to mark attendance' });
   }
 });
 
+// Record a check-out manually (Admin only). checked_out_at defaults to now.
+router.post('/manual/checkout', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  body('event_id').isInt(),
+  body('student_id').isInt(),
+  body('checked_out_at').optional().isISO8601().toDate().custom(notInFuture).withMessage('checked_out_at cannot be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { event_id, student_id } = req.body;
+    const checkedOutAt = req.body.checked_out_at || new Date();
+
+    const [events] = await db.execute(
+      `SELECT id, status, ${ATTENDANCE_RULE_FIELDS} FROM events WHERE id = ? AND college_id = ?`,
+      [event_id, req.user.college_id]
+    );
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+    if (!['active', 'completed'].includes(events[0].status)) return res.status(400).json({ error: 'Event is not active' });
+
+    const [attendance] = await db.execute(
+      'SELECT id, checked_in_at, checked_out_at FROM attendance WHERE event_id = ? AND student_id = ?',
+      [event_id, student_id]
+    );
+    if (attendance.length === 0) return res.status(400).json({ error: 'Student has not checked in' });
+    if (attendance[0].checked_out_at) return res.status(400).json({ error: 'Already checked out' });
+    if (checkedOutAt < attendance[0].checked_in_at) {
+      return res.status(400).json({ error: 'Check-out cannot be earlier than check-in' });
+    }
+
+    const [result] = await db.execute(
+      'UPDATE attendance SET checked_out_at = ? WHERE id = ? AND checked_out_at IS NULL',
+      [checkedOutAt, attendance[0].id]
+    );
+    if (result.affectedRows === 0) return res.status(400).json({ error: 'Already checked out' });
+
+    res.json({
+      message: 'Checked out successfully',
+      attendance: summarizeAttendance(events[0], { checked_in_at: attendance[0].checked_in_at, checked_out_at: checkedOutAt })
+    });
+  } catch (error) {
+    console.error('Manual check-out error:', error);
+    res.status(500).json({ error: 'Failed to check out' });
+  }
+});
+
+// Upload check-ins and check-outs a scanning device recorded offline (Admin only).
+// Items are applied in order, each on its own; the response has one result per item.
+router.post('/sync', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  body('event_id').isInt(),
+  body('items').isArray({ min: 1, max: SYNC_BATCH_LIMIT })
+], async (req, res) => {
+  let connection;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [events] = await db.execute(
+      `SELECT id, college_id, status, ${ATTENDANCE_RULE_FIELDS} FROM events WHERE id = ? AND college_id = ?`,
+      [req.body.event_id, req.user.college_id]
+    );
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+
+    const event = events[0];
+    // Uploads often arrive after the scheduler has completed the event
+    if (!['active', 'completed'].includes(event.status)) return res.status(400).json({ error: 'Event is not active' });
+
+    connection = await db.getConnection();
+    const results = [];
+
+    for (const item of req.body.items) {
+      const idempotencyKey = item && typeof item.idempotency_key === 'string' ? item.idempotency_key : null;
+      const invalid = validateSyncItem(item);
+
+      if (invalid) {
+        results.push({ idempotency_key: idempotencyKey, status: 'rejected', error: invalid });
+        continue;
+      }
+
+      try {
+        results.push({ idempotency_key: idempotencyKey, ...await syncItem(connection, event, item, req.user.id) });
+      } catch (error) {
+        // Nothing was stored for this item, so retrying the upload is safe
+        console.error('Attendance sync item error:', error);
+        results.push({ idempotency_key: idempotencyKey, status: 'failed', error: 'Could not be saved, retry the upload' });
+      }
+    }
+
+    const summary = {};
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+
+    res.json({ message: 'Sync completed', summary, results });
+  } catch (error) {
+    console.error('Attendance sync error:', error);
+    res.status(500).json({ error: 'Failed to sync attendance' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // QR check-in (Student only)
 router.post('/qr-checkin', authenticateToken, requireSameCollege, [
   body('qr_data').notEmpty()
 ], async (req, res) => {
   if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students can check in' });
 
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { qr_data } = req.body;
+  const connection = await db.getConnection();
+
   try {
-    const { qr_data } = req.body;
-    const qr = JSON.parse(qr_data);
+    const { event, error } = await resolveQrToken(connection, qr_data, req.user.college_id);
+    if (error) return res.status(error[0]).json({ error: error[1] });
 
-    // Verify QR secret & college
-    const [events] = await db.execute(
-      'SELECT id FROM events WHERE id = ? AND qr_secret = ? AND college_id = ?',
-      [qr.event_id, qr.secret, qr.college_id]
+    if (event.status !== 'active') return res.status(400).json({ error: 'Event is not active' });
+    if (!isWithinCheckinWindow(event)) return res.status(400).json({ error: 'Check-in is not open for this event' });
+
+    const [registration] = await connection.execute(
+      'SELECT id FROM registrations WHERE event_id = ? AND student_id = ? AND status = "registered"',
+      [event.id, req.user.id]
     );
-    if (events.length === 0) return res.status(400).json({ error: 'Invalid QR code' });
+    if (registration.length === 0) return res.status(400).json({ error: 'Not registered for this event' });
+
+    await connection.beginTransaction();
 
-    // Check if already marked
-    const [existing] = await db.execute(
-      'SELECT id FROM attendance WHERE event_id = ? AND student_id = ?',
-      [qr.event_id, req.user.id]
+    const [existing] = await connection.execute(
+      'SELECT id FROM attendance WHERE event_id = ? AND student_id = ? FOR UPDATE',
+      [event.id, req.user.id]
     );
-    if (existing.length > 0) return res.status(400).json({ error: 'Already checked in' });
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Already checked in' });
+    }
 
-    await db.execute(
+    await connection.execute(
       'INSERT INTO attendance (college_id, event_id, student_id) VALUES (?, ?, ?)',
-      [req.user.college_id, qr.event_id, req.user.id]
+      [req.user.college_id, event.id, req.user.id]
     );
+    await connection.execute(
+      'UPDATE registrations SET attendance_status = "attended" WHERE id = ?',
+      [registration[0].id]
+    );
+
+    await connection.commit();
 
     res.json({ message: 'Checked in successfully' });
   } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Already checked in' });
+    }
     console.error('QR check-in error:', error);
     res.status(500).json({ error: 'Failed to check in' });
+  } finally {
+    connection.release();
+  }
+});
+
+// QR check-out (Student only). Scans the same rotating code as check-in.
+router.post('/qr-checkout', authenticateToken, requireSameCollege, [
+  body('qr_data').notEmpty()
+], async (req, res) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students can check out' });
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { qr_data } = req.body;
+  const connection = await db.getConnection();
+
+  try {
+    const { event, error } = await resolveQrToken(connection, qr_data, req.user.college_id);
+    if (error) return res.status(error[0]).json({ error: error[1] });
+
+    // The scheduler may already have completed the event while check-out is still open
+    if (!['active', 'completed'].includes(event.status)) return res.status(400).json({ error: 'Event is not active' });
+    if (!isWithinCheckoutWindow(event)) return res.status(400).json({ error: 'Check-out is not open for this event' });
+
+    await connection.beginTransaction();
+
+    const [attendance] = await connection.execute(
+      'SELECT id, checked_in_at, checked_out_at FROM attendance WHERE event_id = ? AND student_id = ? FOR UPDATE',
+      [event.id, req.user.id]
+    );
+    if (attendance.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Not checked in' });
+    }
+    if (attendance[0].checked_out_at) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Already checked out' });
+    }
+
+    const checkedOutAt = new Date();
+    await connection.execute('UPDATE attendance SET checked_out_at = ? WHERE id = ?', [checkedOutAt, attendance[0].id]);
+
+    await connection.commit();
+
+    res.json({
+      message: 'Checked out successfully',
+      attendance: summarizeAttendance(event, { checked_in_at: attendance[0].checked_in_at, checked_out_at: checkedOutAt })
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('QR check-out error:', error);
+    res.status(500).json({ error: 'Failed to check out' });
+  } finally {
+    connection.release();
   }
 });
 
@@ -78,15 +303,38 @@ router.get('/event/:eventId', authenticateToken, requireRole(['admin']), require
   param('eventId').isInt()
 ], async (req, res) => {
   try {
-    const [attendance] = await db.execute(`
-      SELECT a.id, s.first_name, s.last_name, s.student_id, a.checked_in_at
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [events] = await db.execute(
+      `SELECT id, ${ATTENDANCE_RULE_FIELDS} FROM events WHERE id = ? AND college_id = ?`,
+      [req.params.eventId, req.user.college_id]
+    );
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+
+    const [rows] = await db.execute(`
+      SELECT a.id, s.first_name, s.last_name, s.student_id, a.checked_in_at, a.checked_out_at
       FROM attendance a
       JOIN students s ON a.student_id = s.id
       WHERE a.event_id = ? AND a.college_id = ?
       ORDER BY a.checked_in_at ASC
     `, [req.params.eventId, req.user.college_id]);
 
-    res.json({ attendance });
+    const attendance = rows.map(row => ({ ...row, ...summarizeAttendance(events[0], row) }));
+
+    res.json({
+      rules: {
+        late_grace_minutes: events[0].late_grace_minutes,
+        min_attendance_percent: events[0].min_attendance_percent
+      },
+      summary: {
+        checked_in: attendance.length,
+        checked_out: attendance.filter(a => a.checked_out_at !== null).length,
+        late: attendance.filter(a => a.is_late).length,
+        meeting_minimum: attendance.filter(a => a.meets_minimum).length
+      },
+      attendance
+    });
   } catch (error) {
     console.error('Get attendance error:', error);
     res.status(500).json({ error: 'Failed to fetch attendance' });
@@ -1,11 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const { rateLimit } = require('express-rate-limit');
 const db = require('../config/database');
 const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { hashToken, issueSession, revokeFamily, revokeAllForUser, userTypeForRole } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const { createPasswordResetLink } = require('../utils/passwordReset');
+const { isEmailDomainAllowed, sendVerificationEmail } = require('../utils/emailVerification');
 
 const router = express.Router();
 const SALT_ROUNDS = 10;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+
+// Throttle endpoints that send email
+const mailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 5,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { error: 'Too many requests, please try again later' }
+});
+
+const tableForUserType = (userType) => (userType === 'student' ? 'students' : 'admins');
 
 // Student Registration
 router.post('/register/student', [
@@ -24,47 +41,98 @@ router.post('/register/student', [
     const { email, password, first_name, last_name, student_id, college_id } = req.body;
 
     try {
+        const [colleges] = await db.execute('SELECT id FROM colleges WHERE id = ?', [college_id]);
+        if (colleges.length === 0) {
+            return res.status(400).json({ error: 'College not found' });
+        }
+
+        if (!(await isEmailDomainAllowed(college_id, email))) {
+            return res.status(400).json({ error: 'Email domain is not allowed for this college' });
+        }
+
         const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
         const [result] = await db.execute(
             'INSERT INTO students (email, password_hash, first_name, last_name, student_id, college_id) VALUES (?, ?, ?, ?, ?, ?)',
             [email, password_hash, first_name, last_name, student_id, college_id]
         );
-        res.status(201).json({ message: 'Student registered successfully', studentId: result.insertId });
+
+        // The account exists either way; a failed send can be retried via /resend-verification
+        await sendVerificationEmail({ id: result.insertId, email, first_name })
+            .catch(mailError => console.error('Verification email error:', mailError));
+
+        res.status(201).json({
+            message: 'Student registered successfully, check your email to verify your account',
+            studentId: result.insertId
+        });
     } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'An account with this email or student ID already exists' });
+        }
         console.error('Student registration error:', error);
         res.status(500).json({ error: 'Failed to register student' });
     }
 });
 
-// Admin Registration (For setup purposes)
-router.post('/register/admin', [
-    body('email').isEmail(),
+// Accept an admin invitation (admins join by invitation only, see routes/colleges.js)
+router.post('/accept-invitation', [
+    body('token').notEmpty(),
     body('password').isLength({ min: 6 }),
     body('first_name').notEmpty(),
-    body('last_name').notEmpty(),
-    body('college_id').isInt()
+    body('last_name').notEmpty()
 ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, first_name, last_name, college_id } = req.body;
+    const { token, password, first_name, last_name } = req.body;
+    const connection = await db.getConnection();
 
     try {
+        await connection.beginTransaction();
+
+        const [invitations] = await connection.execute(
+            `SELECT id, college_id, email, role FROM admin_invitations
+             WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+             FOR UPDATE`,
+            [hashToken(token)]
+        );
+
+        if (invitations.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Invalid or expired invitation' });
+        }
+
+        const invitation = invitations[0];
+
+        const [students] = await connection.execute('SELECT id FROM students WHERE email = ?', [invitation.email]);
+        if (students.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'This email already belongs to a student account' });
+        }
+
         const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
-        const [result] = await db.execute(
+        const [result] = await connection.execute(
             'INSERT INTO admins (email, password_hash, first_name, last_name, college_id, role) VALUES (?, ?, ?, ?, ?, ?)',
-            [email, password_hash, first_name, last_name, college_id, 'admin']
+            [invitation.email, password_hash, first_name, last_name, invitation.college_id, invitation.role]
         );
-        res.status(201).json({ message: 'Admin registered successfully', adminId: result.insertId });
+        await connection.execute('UPDATE admin_invitations SET accepted_at = NOW() WHERE id = ?', [invitation.id]);
+
+        await connection.commit();
+
+        res.status(201).json({ message: 'Admin account created successfully', adminId: result.insertId });
     } catch (error) {
-        console.error('Admin registration error:', error);
-        res.status(500).json({ error: 'Failed to register admin' });
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'An admin account with this email already exists' });
+        }
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    } finally {
+        connection.release();
     }
 });
 
-
 // Universal Login
 router.post('/login', [
     body('email').isEmail(),
@@ -80,7 +148,7 @@ router.post('/login', [
     try {
         // Check admins table first
         let [userRows] = await db.execute('SELECT * FROM admins WHERE email = ?', [email]);
-        let userRole = 'admin';
+        let userRole = userRows.length > 0 ? userRows[0].role : 'admin';
 
         // If not found in admins, check students table
         if (userRows.length === 0) {
@@ -99,15 +167,18 @@ router.post('/login', [
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const payload = {
-            id: user.id,
-            college_id: user.college_id,
-            role: userRole
-        };
+        if (!user.is_active) {
+            return res.status(403).json({ error: 'Account is inactive' });
+        }
+
+        const { tokens } = await issueSession({ id: user.id, college_id: user.college_id, role: userRole }, req);
 
-        const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1d' });
+        const profile = { id: user.id, email: user.email, role: userRole };
+        if (userRole === 'student') {
+            profile.email_verified = Boolean(user.email_verified_at);
+        }
 
-        res.json({ message: 'Login successful', token, user: { id: user.id, email: user.email, role: userRole } });
+        res.json({ message: 'Login successful', ...tokens, user: profile });
 
     } catch (error) {
         console.error('Login error:', error);
@@ -115,4 +186,328 @@ router.post('/login', [
     }
 });
 
+// Exchange a refresh token for a new access/refresh pair (rotation)
+router.post('/refresh', [
+    body('refresh_token').notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            'SELECT * FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+            [hashToken(req.body.refresh_token)]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const stored = rows[0];
+
+        if (stored.revoked_at) {
+            // A rotated token coming back means it was copied: kill the whole session chain
+            if (stored.replaced_by) {
+                await revokeFamily(connection, stored.family_id);
+                await connection.commit();
+                console.warn(`Refresh token reuse detected for ${stored.user_type} ${stored.user_id}, family ${stored.family_id} revoked`);
+                return res.status(401).json({ error: 'Refresh token reuse detected, please log in again' });
+            }
+
+            await connection.rollback();
+            return res.status(401).json({ error: 'Refresh token revoked' });
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+            await connection.rollback();
+            return res.status(401).json({ error: 'Refresh token expired' });
+        }
+
+        const table = stored.user_type === 'student' ? 'students' : 'admins';
+        const [users] = await connection.execute(
+            `SELECT * FROM ${table} WHERE id = ?`,
+            [stored.user_id]
+        );
+
+        if (users.length === 0 || !users[0].is_active) {
+            await revokeFamily(connection, stored.family_id);
+            await connection.commit();
+            return res.status(401).json({ error: 'Account not found or inactive' });
+        }
+
+        // Admin roles can change between refreshes, so read the current one
+        const role = stored.user_type === 'student' ? 'student' : users[0].role;
+        const user = { id: users[0].id, college_id: users[0].college_id, role };
+        const { refreshId, tokens } = await issueSession(user, req, connection, stored.family_id);
+
+        await connection.execute(
+            'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+            [refreshId, stored.id]
+        );
+
+        await connection.commit();
+
+        res.json({ message: 'Token refreshed', ...tokens });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Logout from the current device (revokes the refresh token's session chain)
+router.post('/logout', [
+    body('refresh_token').notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const [rows] = await db.execute(
+            'SELECT family_id FROM refresh_tokens WHERE token_hash = ?',
+            [hashToken(req.body.refresh_token)]
+        );
+
+        if (rows.length > 0) {
+            await revokeFamily(db, rows[0].family_id);
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await revokeAllForUser(db, req.user.id, req.user.role);
+
+        res.json({ message: 'Logged out of all devices', sessions_revoked: result.affectedRows });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Confirm a student's email address
+router.post('/verify-email', [
+    body('token').notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.execute(
+            'SELECT id, student_id FROM email_verification_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW() FOR UPDATE',
+            [hashToken(req.body.token)]
+        );
+
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        await connection.execute('UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ?', [tokens[0].id]);
+        await connection.execute(
+            'UPDATE students SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+            [tokens[0].student_id]
+        );
+
+        await connection.commit();
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Resend the verification email
+router.post('/resend-verification', mailLimiter, [
+    body('email').isEmail()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const response = { message: 'If an unverified account exists for this email, a verification link has been sent' };
+
+    try {
+        const [students] = await db.execute(
+            'SELECT id, email, first_name FROM students WHERE email = ? AND is_active = true AND email_verified_at IS NULL',
+            [req.body.email]
+        );
+
+        if (students.length > 0) {
+            await sendVerificationEmail(students[0]);
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to resend verification email' });
+    }
+});
+
+// Request a password reset email
+router.post('/forgot-password', mailLimiter, [
+    body('email').isEmail()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const response = { message: 'If an account exists for this email, a reset link has been sent' };
+
+    try {
+        let [userRows] = await db.execute('SELECT id, email, first_name, is_active FROM admins WHERE email = ?', [req.body.email]);
+        let userType = 'admin';
+
+        if (userRows.length === 0) {
+            [userRows] = await db.execute('SELECT id, email, first_name, is_active FROM students WHERE email = ?', [req.body.email]);
+            userType = 'student';
+        }
+
+        if (userRows.length === 0 || !userRows[0].is_active) {
+            return res.json(response);
+        }
+
+        const user = userRows[0];
+        const link = await createPasswordResetLink(user.id, userType, RESET_TOKEN_TTL_MINUTES);
+
+        // A failed send is only logged; a 500 here would tell that the account exists
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your UniEvent password',
+            text: `Hi ${user.first_name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can be used once.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+        }).catch(mailError => console.error('Password reset email error:', mailError));
+
+        res.json(response);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to process password reset request' });
+    }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', [
+    body('token').notEmpty(),
+    body('password').isLength({ min: 6 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [tokens] = await connection.execute(
+            'SELECT id, user_id, user_type FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW() FOR UPDATE',
+            [hashToken(req.body.token)]
+        );
+
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const { id, user_id, user_type } = tokens[0];
+        const password_hash = await bcrypt.hash(req.body.password, SALT_ROUNDS);
+
+        await connection.execute(
+            `UPDATE ${tableForUserType(user_type)} SET password_hash = ? WHERE id = ?`,
+            [password_hash, user_id]
+        );
+        await connection.execute('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [id]);
+        await revokeAllForUser(connection, user_id, user_type);
+
+        // The link arrived by email, which also proves the student owns the address
+        if (user_type === 'student') {
+            await connection.execute(
+                'UPDATE students SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+                [user_id]
+            );
+        }
+
+        await connection.commit();
+
+        res.json({ message: 'Password reset successfully, please log in again' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Change password while logged in
+router.post('/change-password', authenticateToken, [
+    body('current_password').notEmpty(),
+    body('new_password').isLength({ min: 6 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const table = tableForUserType(userTypeForRole(req.user.role));
+
+    try {
+        const [users] = await db.execute(
+            `SELECT id, college_id, password_hash, is_active FROM ${table} WHERE id = ?`,
+            [req.user.id]
+        );
+
+        if (users.length === 0 || !users[0].is_active) {
+            return res.status(403).json({ error: 'Account not found or inactive' });
+        }
+
+        const isMatch = await bcrypt.compare(req.body.current_password, users[0].password_hash);
+        if (!isMatch) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const password_hash = await bcrypt.hash(req.body.new_password, SALT_ROUNDS);
+        await db.execute(`UPDATE ${table} SET password_hash = ? WHERE id = ?`, [password_hash, req.user.id]);
+
+        // Sign out every other session and hand this one a fresh pair
+        await revokeAllForUser(db, req.user.id, req.user.role);
+        const { tokens } = await issueSession({ id: req.user.id, college_id: users[0].college_id, role: req.user.role }, req);
+
+        res.json({ message: 'Password changed successfully', ...tokens });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
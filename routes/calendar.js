@@ -0,0 +1,130 @@
+const express = require('express');
+const crypto = require('crypto');
+const { param, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireSameCollege } = require('../middleware/auth');
+const { hashToken } = require('../utils/authTokens');
+const { buildEvent, buildCalendar, sendCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Absolute URL of this API, for feed links handed to calendar apps
+const apiUrl = (req, pathname) => `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}${pathname}`;
+
+// Create or rotate the student's private feed URL (Student only).
+// Rotating invalidates the previous URL.
+router.post('/my-feed', authenticateToken, requireSameCollege, async (req, res) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students have a personal calendar feed' });
+
+  try {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await db.execute(
+      'UPDATE students SET calendar_token_hash = ? WHERE id = ?',
+      [hashToken(token), req.user.id]
+    );
+
+    res.json({
+      message: 'Calendar feed URL created, any previous URL no longer works',
+      feed_url: apiUrl(req, `/api/calendar/students/${token}.ics`)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// Disable the student's feed URL (Student only)
+router.delete('/my-feed', authenticateToken, requireSameCollege, async (req, res) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students have a personal calendar feed' });
+
+  try {
+    await db.execute('UPDATE students SET calendar_token_hash = NULL WHERE id = ?', [req.user.id]);
+
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error('Disable calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to disable calendar feed' });
+  }
+});
+
+// Student's registrations as calendar events (the token in the URL is the credential)
+router.get('/students/:token.ics', async (req, res) => {
+  try {
+    const [students] = await db.execute(
+      'SELECT id, college_id FROM students WHERE calendar_token_hash = ? AND is_active = true',
+      [hashToken(req.params.token)]
+    );
+
+    if (students.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    // Every registration the student ever made. Events they cancelled, or the
+    // organizer cancelled, stay in the feed as cancelled so calendar apps
+    // remove them instead of keeping a stale entry.
+    const [registrations] = await db.execute(`
+      SELECT r.status as registration_status, r.waitlist_position, r.updated_at as registration_updated_at, e.*
+      FROM registrations r
+      JOIN events e ON r.event_id = e.id
+      WHERE r.student_id = ? AND r.college_id = ?
+      ORDER BY e.event_date ASC
+    `, [students[0].id, students[0].college_id]);
+
+    const vevents = registrations.map(registration => {
+      // A change to the registration alone must also raise the SEQUENCE
+      const event = {
+        ...registration,
+        updated_at: new Date(Math.max(new Date(registration.updated_at), new Date(registration.registration_updated_at)))
+      };
+
+      if (registration.registration_status === 'cancelled') {
+        return buildEvent(event, { status: 'CANCELLED' });
+      }
+      if (registration.status !== 'cancelled' && registration.registration_status === 'waitlisted') {
+        return buildEvent(event, {
+          summaryPrefix: `[Waitlist #${registration.waitlist_position}] `,
+          status: 'TENTATIVE'
+        });
+      }
+      return buildEvent(event);
+    });
+
+    sendCalendar(res, 'my-events', buildCalendar('My UniEvent events', vevents));
+  } catch (error) {
+    console.error('Student calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to generate calendar feed' });
+  }
+});
+
+// Public feed of a college's published events
+router.get('/colleges/:collegeId.ics', [
+  param('collegeId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [colleges] = await db.execute('SELECT id, name FROM colleges WHERE id = ?', [req.params.collegeId]);
+
+    if (colleges.length === 0) {
+      return res.status(404).json({ error: 'College not found' });
+    }
+
+    // Drafts stay private; completed and cancelled events remain so clients keep history
+    const [events] = await db.execute(`
+      SELECT * FROM events
+      WHERE college_id = ? AND status IN ('active', 'completed', 'cancelled')
+      ORDER BY event_date ASC
+    `, [req.params.collegeId]);
+
+    sendCalendar(res, `college-${colleges[0].id}-events`, buildCalendar(`${colleges[0].name} events`, events.map(event => buildEvent(event))));
+  } catch (error) {
+    console.error('College calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to generate calendar feed' });
+  }
+});
+
+module.exports = router;
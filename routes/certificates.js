@@ -0,0 +1,94 @@
+const express = require('express');
+const fs = require('fs');
+const { param, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireSameCollege } = require('../middleware/auth');
+const { generateCertificatePdf, certificatePath, certificateUrl } = require('../utils/certificate');
+
+const router = express.Router();
+
+const CERTIFICATE_DETAILS_SQL = `
+  SELECT cert.certificate_id, cert.student_id, cert.college_id, cert.issued_at,
+         CONCAT(s.first_name, ' ', s.last_name) as student_name,
+         e.title as event_title, e.event_date, e.duration_hours, c.name as college_name
+  FROM certificates cert
+  JOIN students s ON cert.student_id = s.id
+  JOIN events e ON cert.event_id = e.id
+  JOIN colleges c ON cert.college_id = c.id
+  WHERE cert.certificate_id = ?
+`;
+
+// Verify a certificate (Public, e.g. for employers)
+router.get('/verify/:certificate_id', [
+  param('certificate_id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [certificates] = await db.execute(CERTIFICATE_DETAILS_SQL, [req.params.certificate_id]);
+    if (certificates.length === 0) return res.status(404).json({ valid: false, error: 'Certificate not found' });
+
+    const { certificate_id, student_name, event_title, event_date, duration_hours, college_name, issued_at } = certificates[0];
+
+    res.json({
+      valid: true,
+      certificate: { certificate_id, student_name, event_title, event_date, duration_hours, college_name, issued_at }
+    });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({ error: 'Failed to verify certificate' });
+  }
+});
+
+// Get student's certificates
+router.get('/my', authenticateToken, requireSameCollege, async (req, res) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students can view their certificates' });
+
+  try {
+    const [certificates] = await db.execute(`
+      SELECT cert.certificate_id, cert.issued_at, e.id as event_id, e.title, e.event_date
+      FROM certificates cert
+      JOIN events e ON cert.event_id = e.id
+      WHERE cert.student_id = ? AND cert.college_id = ?
+      ORDER BY cert.issued_at DESC
+    `, [req.user.id, req.user.college_id]);
+
+    res.json({
+      certificates: certificates.map(certificate => ({ ...certificate, download_url: certificateUrl(certificate.certificate_id) }))
+    });
+  } catch (error) {
+    console.error('Get my certificates error:', error);
+    res.status(500).json({ error: 'Failed to fetch certificates' });
+  }
+});
+
+// Download a single certificate PDF (owning student or an admin of the college)
+router.get('/:certificate_id/download', authenticateToken, requireSameCollege, [
+  param('certificate_id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [certificates] = await db.execute(CERTIFICATE_DETAILS_SQL, [req.params.certificate_id]);
+    const certificate = certificates[0];
+
+    const canAccess = certificate && certificate.college_id === req.user.college_id &&
+      (req.user.role !== 'student' || certificate.student_id === req.user.id);
+    if (!canAccess) return res.status(404).json({ error: 'Certificate not found' });
+
+    // Re-render certificates whose file is missing (e.g. issued before PDFs existed)
+    const filePath = certificatePath(certificate.certificate_id);
+    if (!fs.existsSync(filePath)) {
+      await generateCertificatePdf(certificate);
+    }
+
+    res.download(filePath, `certificate-${certificate.certificate_id}.pdf`);
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({ error: 'Failed to download certificate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult, param } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { hashToken, revokeAllForUser } = require('../utils/authTokens');
+const { sendMail, appUrl } = require('../utils/mailer');
+
+const router = express.Router();
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+// Every route here is super admin only, checked against the admin's current role
+router.use(authenticateToken, requireSameCollege, requireRole(['super_admin']));
+
+// Validate the request, then resolve :id to an existing college
+const loadCollege = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const [colleges] = await db.execute('SELECT * FROM colleges WHERE id = ?', [req.params.id]);
+
+    if (colleges.length === 0) {
+      return res.status(404).json({ error: 'College not found' });
+    }
+
+    req.college = colleges[0];
+    next();
+  } catch (error) {
+    console.error('Load college error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List colleges
+router.get('/', async (req, res) => {
+  try {
+    const [colleges] = await db.execute(`
+      SELECT c.*,
+             (SELECT COUNT(*) FROM admins a WHERE a.college_id = c.id AND a.is_active = true) as admin_count,
+             (SELECT COUNT(*) FROM students s WHERE s.college_id = c.id AND s.is_active = true) as student_count
+      FROM colleges c
+      ORDER BY c.name
+    `);
+
+    res.json({ colleges });
+  } catch (error) {
+    console.error('Get colleges error:', error);
+    res.status(500).json({ error: 'Failed to fetch colleges' });
+  }
+});
+
+// Create college
+router.post('/', [
+  body('name').trim().notEmpty().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [result] = await db.execute('INSERT INTO colleges (name) VALUES (?)', [req.body.name]);
+
+    res.status(201).json({ message: 'College created successfully', college_id: result.insertId });
+  } catch (error) {
+    console.error('Create college error:', error);
+    res.status(500).json({ error: 'Failed to create college' });
+  }
+});
+
+// List a college's admins
+router.get('/:id/admins', [param('id').isInt()], loadCollege, async (req, res) => {
+  try {
+    const [admins] = await db.execute(
+      'SELECT id, email, first_name, last_name, role, is_active, created_at FROM admins WHERE college_id = ? ORDER BY first_name, last_name',
+      [req.college.id]
+    );
+
+    res.json({ admins });
+  } catch (error) {
+    console.error('Get college admins error:', error);
+    res.status(500).json({ error: 'Failed to fetch admins' });
+  }
+});
+
+// Change an admin's role or deactivate/reactivate them
+router.patch('/:id/admins/:adminId', [
+  param('id').isInt(),
+  param('adminId').isInt(),
+  body('role').optional().isIn(['admin', 'super_admin']),
+  body('is_active').optional().isBoolean().toBoolean()
+], loadCollege, async (req, res) => {
+  try {
+    const { role, is_active } = req.body;
+
+    if (role === undefined && is_active === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    // Guard against a super admin locking themselves out
+    if (parseInt(req.params.adminId) === req.user.id && (is_active === false || role === 'admin')) {
+      return res.status(400).json({ error: 'You cannot deactivate or demote your own account' });
+    }
+
+    const [admins] = await db.execute(
+      'SELECT id FROM admins WHERE id = ? AND college_id = ?',
+      [req.params.adminId, req.college.id]
+    );
+
+    if (admins.length === 0) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (role !== undefined) {
+      updates.push('role = ?');
+      params.push(role);
+    }
+
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      params.push(is_active);
+    }
+
+    params.push(req.params.adminId);
+
+    await db.execute(`UPDATE admins SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    // Existing sessions would otherwise keep the old role or access
+    await revokeAllForUser(db, req.params.adminId, 'admin');
+
+    res.json({ message: 'Admin updated successfully' });
+  } catch (error) {
+    console.error('Update admin error:', error);
+    res.status(500).json({ error: 'Failed to update admin' });
+  }
+});
+
+// List pending invitations for a college
+router.get('/:id/invitations', [param('id').isInt()], loadCollege, async (req, res) => {
+  try {
+    const [invitations] = await db.execute(`
+      SELECT id, email, role, invited_by, expires_at, created_at
+      FROM admin_invitations
+      WHERE college_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+    `, [req.college.id]);
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite an admin to a college
+router.post('/:id/invitations', [
+  param('id').isInt(),
+  body('email').isEmail(),
+  body('role').optional().isIn(['admin', 'super_admin'])
+], loadCollege, async (req, res) => {
+  try {
+    const { email, role = 'admin' } = req.body;
+
+    const [existing] = await db.execute(
+      'SELECT id FROM admins WHERE email = ? UNION SELECT id FROM students WHERE email = ?',
+      [email, email]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // Re-inviting replaces any earlier pending invitation for the same address
+    await db.execute(
+      'UPDATE admin_invitations SET revoked_at = NOW() WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+      [email]
+    );
+
+    const [result] = await db.execute(
+      'INSERT INTO admin_invitations (college_id, email, role, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.college.id, email, role, hashToken(token), req.user.id, new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)]
+    );
+
+    await sendMail({
+      to: email,
+      subject: `You're invited to administer ${req.college.name} on UniEvent`,
+      text: `You have been invited to join ${req.college.name} as ${role === 'super_admin' ? 'a super admin' : 'an admin'}.\n\nSet up your account here (valid for ${INVITATION_TTL_HOURS} hours, single use):\n\n${appUrl('/accept-invitation', { token })}`
+    });
+
+    res.status(201).json({ message: 'Invitation sent', invitation_id: result.insertId });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', [
+  param('id').isInt(),
+  param('invitationId').isInt()
+], loadCollege, async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE admin_invitations SET revoked_at = NOW() WHERE id = ? AND college_id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+      [req.params.invitationId, req.college.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -7,17 +7,134 @@ const express = require('express');
 
 const { body, validationResult, param, query } = require('express-validator');
 const QRCode = require('qrcode');
-const { randomUUID } = require('crypto');
+const { randomBytes, createHash } = require('crypto');
 const db = require('../config/database');
 const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { issueToken, ROTATION_SECONDS } = require('../utils/attendanceToken');
+const { eventFileUpload } = require('../middleware/upload');
+const { attachFiles, serializeFile, removeStoredFile, removeEventUploads } = require('../utils/eventFiles');
+const { getEventSchedule } = require('../utils/eventTime');
+const { notify } = require('../utils/notifications');
+const { enqueueCompletionJobs } = require('../jobs/eventJobs');
+const { refreshRegistrationCounts } = require('../utils/eventStats');
+const { promoteFromWaitlist, notifyPromoted } = require('../utils/waitlist');
+const { EVENT_SORTS, encodeCursor, decodeCursor } = require('../utils/eventListing');
+const { removeCertificateFiles } = require('../utils/certificate');
 
 const router = express.Router();
 
-// Get all events (with filters)
+// Minutes since midnight of an 'HH:MM' or 'HH:MM:SS' time
+const minutesOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Events end on the day they start; overnight events are not supported
+const endsAfterStart = (startTime, endTime) => minutesOfDay(endTime) > minutesOfDay(startTime);
+
+// The QR signing secret must never reach clients
+const stripQrFields = (event) => {
+  delete event.qr_secret;
+  delete event.qr_code;
+  return event;
+};
+
+// InnoDB does not index words shorter than innodb_ft_min_token_size (3 by default)
+const FULLTEXT_MIN_WORD_LENGTH = 3;
+
+// Send JSON with a strong ETag so clients can skip unchanged responses via If-None-Match
+const sendWithEtag = (req, res, body) => {
+  const payload = JSON.stringify(body);
+  res.set('ETag', `"${createHash('sha1').update(payload).digest('base64url')}"`);
+  res.set('Cache-Control', 'private, no-cache');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.type('application/json').send(payload);
+};
+
+// Turn free text into a BOOLEAN MODE query where every word must match as a prefix
+const toFulltextQuery = (text) => text
+  .replace(/[+\-<>()~*"@]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length >= FULLTEXT_MIN_WORD_LENGTH)
+  .map(word => `+${word}*`)
+  .join(' ');
+
+// Match text literally inside LIKE '%...%'
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// ?category=a,b and ?category=a&category=b both select several categories
+const parseCategories = (category) => [].concat(category || [])
+  .flatMap(value => String(value).split(','))
+  .map(value => value.trim())
+  .filter(Boolean);
+
+// WHERE clause for the listing filters
+const buildEventFilters = (collegeId, { status, category, q, from, to, has_seats }) => {
+  const conditions = ['e.college_id = ?'];
+  const params = [collegeId];
+  let fulltext = null;
+
+  if (status) {
+    conditions.push('e.status = ?');
+    params.push(status);
+  }
+
+  const categories = parseCategories(category);
+  if (categories.length > 0) {
+    conditions.push(`e.category IN (${categories.map(() => '?').join(', ')})`);
+    params.push(...categories);
+  }
+
+  // express-validator's trim() does not reach req.query under Express 5
+  const text = typeof q === 'string' ? q.trim() : '';
+  if (text) {
+    fulltext = toFulltextQuery(text);
+    if (fulltext) {
+      conditions.push('MATCH(e.title, e.description, e.venue) AGAINST (? IN BOOLEAN MODE)');
+      params.push(fulltext);
+    } else {
+      // Only short words: too small for the full-text index
+      conditions.push('(e.title LIKE ? OR e.venue LIKE ?)');
+      const pattern = `%${escapeLike(text)}%`;
+      params.push(pattern, pattern);
+    }
+  }
+
+  // Inclusive calendar dates (YYYY-MM-DD)
+  if (from) {
+    conditions.push('e.event_date >= ?');
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push('e.event_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+
+  if (has_seats === 'true') {
+    conditions.push('e.registered_count < e.max_participants');
+  }
+
+  return { where: conditions.join(' AND '), params, fulltext };
+};
+
+// Get all events (with search, filters and sorting). Pages with ?cursor= from
+// pagination.next_cursor; ?offset= remains for relevance-sorted searches.
 router.get('/', authenticateToken, requireSameCollege, [
   query('status').optional().isIn(['draft', 'active', 'completed', 'cancelled']),
   query('category').optional(),
+  query('q').optional().isString().isLength({ max: 200 }),
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  query('has_seats').optional().isIn(['true', 'false']),
+  query('sort').optional().isIn(Object.keys(EVENT_SORTS)),
+  query('order').optional().isIn(['asc', 'desc']),
   query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().isString(),
   query('offset').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
@@ -26,59 +143,77 @@ router.get('/', authenticateToken, requireSameCollege, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { status, category, limit = 20, offset = 0 } = req.query;
-    
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    const { where, params, fulltext } = buildEventFilters(req.user.college_id, req.query);
+
+    let sort = req.query.sort || (fulltext ? 'relevance' : 'date');
+    if (sort === 'relevance' && !fulltext) sort = 'date';
+    const order = (req.query.order || EVENT_SORTS[sort].order).toUpperCase();
+
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      if (sort === 'relevance' || req.query.offset !== undefined) {
+        return res.status(400).json({ error: 'cursor cannot be combined with offset or relevance sorting' });
+      }
+      if (cursor.s !== sort || cursor.o !== order) {
+        return res.status(400).json({ error: 'cursor was issued for a different sort order' });
+      }
+    }
+
+    const sortKey = sort === 'relevance' ? null : EVENT_SORTS[sort].key(order);
+    const conditions = [where];
+    const queryParams = [...params];
+
+    // Rows strictly after the cursor in (sort key, id) order
+    if (cursor) {
+      conditions.push(`(${sortKey}, e.id) ${order === 'ASC' ? '>' : '<'} (?, ?)`);
+      queryParams.push(cursor.k, cursor.id);
+    }
+
     let querySql = `
-      SELECT e.*, a.first_name as created_by_name, a.last_name as created_by_lastname,
-             (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'registered') as registered_count,
-             (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'waitlisted') as waitlist_count
+      SELECT e.*, a.first_name as created_by_name, a.last_name as created_by_lastname${sortKey ? `, ${sortKey} as sort_key` : ''}
       FROM events e
       JOIN admins a ON e.created_by = a.id
-      WHERE e.college_id = ?
+      WHERE ${conditions.join(' AND ')}
     `;
-    
-    const params = [req.user.college_id];
-    
-    if (status) {
-      querySql += ' AND e.status = ?';
-      params.push(status);
-    }
-    
-    if (category) {
-      querySql += ' AND e.category = ?';
-      params.push(category);
+
+    if (sort === 'relevance') {
+      querySql += ` ORDER BY MATCH(e.title, e.description, e.venue) AGAINST (? IN BOOLEAN MODE) ${order}, e.event_date ASC, e.id ASC`;
+      queryParams.push(fulltext);
+    } else {
+      querySql += ` ORDER BY ${sortKey} ${order}, e.id ${order}`;
     }
-    
-    querySql += ' ORDER BY e.event_date ASC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
 
-    const [events] = await db.execute(querySql, params);
+    // One extra row tells us whether another page exists without a COUNT query
+    querySql += ' LIMIT ? OFFSET ?';
+    queryParams.push(limit + 1, cursor ? 0 : offset);
 
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) as total FROM events WHERE college_id = ?';
-    const countParams = [req.user.college_id];
-    
-    if (status) {
-      countQuery += ' AND status = ?';
-      countParams.push(status);
-    }
-    
-    if (category) {
-      countQuery += ' AND category = ?';
-      countParams.push(category);
-    }
+    const [rows] = await db.execute(querySql, queryParams);
+    const hasMore = rows.length > limit;
+    const events = rows.slice(0, limit);
+    const last = events[events.length - 1];
 
-    const [countResult] = await db.execute(countQuery, countParams);
+    const pagination = {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && sortKey ? encodeCursor(sort, order, last) : null
+    };
+    if (!sortKey) {
+      pagination.offset = offset;
+    }
 
-    res.json({
-      events,
-      pagination: {
-        total: countResult[0].total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        has_more: countResult[0].total > (parseInt(offset) + parseInt(limit))
-      }
+    events.forEach(event => {
+      delete event.sort_key;
+      stripQrFields(event);
     });
+    await attachFiles(events);
+
+    sendWithEtag(req, res, { events, pagination });
   } catch (error) {
     console.error('Get events error:', error);
     res.status(500).json({ error: 'Failed to fetch events' });
@@ -96,11 +231,7 @@ router.get('/:id', authenticateToken, requireSameCollege, [
     }
 
     const [events] = await db.execute(`
-      SELECT e.*, a.first_name as created_by_name, a.last_name as created_by_lastname,
-             (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'registered') as registered_count,
-             (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'waitlisted') as waitlist_count,
-             (SELECT AVG(rating) FROM feedback f WHERE f.event_id = e.id) as avg_rating,
-             (SELECT COUNT(*) FROM feedback f WHERE f.event_id = e.id) as feedback_count
+      SELECT e.*, a.first_name as created_by_name, a.last_name as created_by_lastname
       FROM events e
       JOIN admins a ON e.created_by = a.id
       WHERE e.id = ? AND e.college_id = ?
@@ -110,7 +241,8 @@ router.get('/:id', authenticateToken, requireSameCollege, [
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    const event = events[0];
+    const event = stripQrFields(events[0]);
+    await attachFiles([event]);
     
     if (req.user.role === 'student') {
       const [registration] = await db.execute(
@@ -120,7 +252,7 @@ router.get('/:id', authenticateToken, requireSameCollege, [
       event.user_registration = registration[0] || null;
     }
 
-    res.json({ event });
+    sendWithEtag(req, res, { event });
   } catch (error) {
     console.error('Get event error:', error);
     res.status(500).json({ error: 'Failed to fetch event' });
@@ -135,7 +267,10 @@ router.post('/', authenticateToken, requireRole(['admin']), requireSameCollege,
   body('start_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('end_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('venue').notEmpty(),
-  body('max_participants').isInt({ min: 1 })
+  body('category').optional().isLength({ max: 100 }),
+  body('max_participants').isInt({ min: 1 }),
+  body('late_grace_minutes').optional().isInt({ min: 0, max: 1440 }),
+  body('min_attendance_percent').optional().isInt({ min: 0, max: 100 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,19 +279,23 @@ router.post('/', authenticateToken, requireRole(['admin']), requireSameCollege,
     }
 
     const {
-      title, description, event_date, start_time, end_time, venue,
-      max_participants
+      title, description, event_date, start_time, end_time, venue, category,
+      max_participants, late_grace_minutes = 15, min_attendance_percent = 0
     } = req.body;
 
+    if (!endsAfterStart(start_time, end_time)) {
+      return res.status(400).json({ error: 'end_time must be after start_time' });
+    }
+
     // REMOVED ALL QR CODE LOGIC TO MATCH YOUR DATABASE
     const [result] = await db.execute(`
       INSERT INTO events (
-        college_id, title, description, event_date, start_time, end_time, venue,
-        max_participants, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        college_id, title, description, event_date, start_time, end_time, venue, category,
+        max_participants, late_grace_minutes, min_attendance_percent, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       req.user.college_id, title, description, event_date, start_time, end_time,
-      venue, max_participants, req.user.id
+      venue, category ?? null, max_participants, late_grace_minutes, min_attendance_percent, req.user.id
     ]);
 
     res.status(201).json({
@@ -169,4 +308,499 @@ router.post('/', authenticateToken, requireRole(['admin']), requireSameCollege,
   }
 });
 
+// Update event details (Admin only)
+router.patch('/:id', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt(),
+  body('title').optional().notEmpty().isLength({ max: 255 }),
+  body('description').optional(),
+  body('event_date').optional().isISO8601().toDate(),
+  body('start_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('end_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  body('venue').optional().notEmpty(),
+  body('category').optional().isLength({ max: 100 }),
+  body('max_participants').optional().isInt({ min: 1 }),
+  body('late_grace_minutes').optional().isInt({ min: 0, max: 1440 }),
+  body('min_attendance_percent').optional().isInt({ min: 0, max: 100 })
+], async (req, res) => {
+  let connection;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    // The row lock keeps registrations out until the capacity change is committed
+    const scheduleFields = 'id, college_id, status, title, event_date, start_time, end_time, duration_hours, venue, max_participants';
+    const [events] = await connection.execute(
+      `SELECT ${scheduleFields} FROM events WHERE id = ? AND college_id = ? FOR UPDATE`,
+      [req.params.id, req.user.college_id]
+    );
+
+    if (events.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(events[0].status)) {
+      await connection.rollback();
+      return res.status(409).json({ error: `Cannot edit a ${events[0].status} event` });
+    }
+
+    // Check the times the event will have after the update
+    if (req.body.start_time !== undefined || req.body.end_time !== undefined) {
+      const startTime = req.body.start_time ?? events[0].start_time;
+      const endTime = req.body.end_time ?? events[0].end_time;
+      if (!endsAfterStart(startTime, endTime)) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'end_time must be after start_time' });
+      }
+    }
+
+    // Build update query
+    const allowedFields = [
+      'title', 'description', 'event_date', 'start_time', 'end_time', 'venue', 'category', 'max_participants',
+      'late_grace_minutes', 'min_attendance_percent'
+    ];
+    const updates = [];
+    const params = [];
+
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    // Capacity cannot drop below the seats already taken
+    if (req.body.max_participants !== undefined) {
+      const [registeredCount] = await connection.execute(
+        'SELECT COUNT(*) as count FROM registrations WHERE event_id = ? AND status = "registered"',
+        [req.params.id]
+      );
+
+      if (parseInt(req.body.max_participants) < registeredCount[0].count) {
+        await connection.rollback();
+        return res.status(400).json({
+          error: `max_participants cannot be lower than the ${registeredCount[0].count} students already registered`
+        });
+      }
+    }
+
+    params.push(req.params.id);
+
+    await connection.execute(
+      `UPDATE events SET ${updates.join(', ')} WHERE id = ?`,
+      params
+    );
+
+    const before = events[0];
+
+    // Extra seats go to the front of the waitlist
+    let promoted = [];
+    if (req.body.max_participants !== undefined && parseInt(req.body.max_participants) > before.max_participants) {
+      promoted = await promoteFromWaitlist(connection, before.id);
+      await notifyPromoted(connection, before, promoted);
+      await refreshRegistrationCounts(connection, before.id);
+    }
+
+    const [updated] = await connection.execute(`SELECT ${scheduleFields} FROM events WHERE id = ?`, [req.params.id]);
+    const after = updated[0];
+
+    await connection.commit();
+
+    // Tell registrants when the event moves in time or place
+    const oldSchedule = getEventSchedule(before);
+    const newSchedule = getEventSchedule(after);
+
+    // The update is already committed, so a failed notification is only logged
+    if (!oldSchedule.startsAt.isSame(newSchedule.startsAt) || !oldSchedule.endsAt.isSame(newSchedule.endsAt) || before.venue !== after.venue) {
+      try {
+        await notify(await getActiveRegistrants(db, after.id), {
+          type: 'event_updated',
+          college_id: req.user.college_id,
+          title: `${after.title} has changed`,
+          body: `${after.title} now takes place on ${newSchedule.startsAt.format('ddd D MMM YYYY, HH:mm')}-${newSchedule.endsAt.format('HH:mm')} at ${after.venue}.`,
+          data: { event_id: after.id }
+        });
+      } catch (error) {
+        console.error('Event update notification error:', error);
+      }
+    }
+
+    res.json({ message: 'Event updated successfully', promoted_from_waitlist: promoted.length });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Update event error:', error);
+    res.status(500).json({ error: 'Failed to update event' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Students holding a seat or a waitlist spot, the audience for event notifications
+const getActiveRegistrants = async (conn, eventId) => {
+  const [rows] = await conn.execute(
+    'SELECT student_id FROM registrations WHERE event_id = ? AND status IN ("registered", "waitlisted")',
+    [eventId]
+  );
+  return rows.map(row => row.student_id);
+};
+
+// Current rotating attendance QR code (Admin only, shown at the venue)
+router.get('/:id/qr', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt(),
+  query('format').optional().isIn(['png', 'svg', 'json'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [events] = await db.execute(
+      'SELECT id, college_id, status, qr_secret FROM events WHERE id = ? AND college_id = ?',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (events.length === 0) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = events[0];
+    if (event.status !== 'active') {
+      return res.status(400).json({ error: 'QR codes are only available for active events' });
+    }
+
+    // Create the per-event signing secret on first use
+    if (!event.qr_secret) {
+      await db.execute(
+        'UPDATE events SET qr_secret = ? WHERE id = ? AND qr_secret IS NULL',
+        [randomBytes(32).toString('hex'), event.id]
+      );
+      const [rows] = await db.execute('SELECT qr_secret FROM events WHERE id = ?', [event.id]);
+      event.qr_secret = rows[0].qr_secret;
+    }
+
+    const { token, expires_at, rotates_in } = issueToken(event);
+    const format = req.query.format || 'png';
+
+    res.set('Cache-Control', 'no-store');
+    res.set('X-QR-Rotates-In', String(rotates_in));
+    res.set('X-QR-Expires-At', expires_at.toISOString());
+
+    if (format === 'json') {
+      return res.json({ token, expires_at, rotates_in, rotation_seconds: ROTATION_SECONDS });
+    }
+
+    if (format === 'svg') {
+      const svg = await QRCode.toString(token, { type: 'svg', errorCorrectionLevel: 'M' });
+      return res.type('image/svg+xml').send(svg);
+    }
+
+    const png = await QRCode.toBuffer(token, { type: 'png', errorCorrectionLevel: 'M', width: 400 });
+    res.type('image/png').send(png);
+  } catch (error) {
+    console.error('Generate QR error:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// Allowed status changes: a completed or cancelled event can never be re-opened
+const STATUS_TRANSITIONS = {
+  draft: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Move an event to a new status, enforcing STATUS_TRANSITIONS
+const transitionEvent = (action, nextStatus) => [
+  authenticateToken, requireRole(['admin']), requireSameCollege,
+  param('id').isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [events] = await connection.execute(
+        'SELECT id, status, title FROM events WHERE id = ? AND college_id = ? FOR UPDATE',
+        [req.params.id, req.user.college_id]
+      );
+
+      if (events.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const currentStatus = events[0].status;
+      if (!STATUS_TRANSITIONS[currentStatus].includes(nextStatus)) {
+        await connection.rollback();
+        return res.status(409).json({ error: `Cannot ${action} an event that is ${currentStatus}` });
+      }
+
+      await connection.execute(
+        'UPDATE events SET status = ? WHERE id = ?',
+        [nextStatus, req.params.id]
+      );
+
+      if (nextStatus === 'completed') {
+        await enqueueCompletionJobs(req.params.id, connection);
+      }
+
+      let cancelledRegistrations = 0;
+      if (nextStatus === 'cancelled') {
+        await notify(await getActiveRegistrants(connection, req.params.id), {
+          type: 'event_cancelled',
+          college_id: req.user.college_id,
+          title: `${events[0].title} has been cancelled`,
+          body: `${events[0].title} was cancelled by the organizers and your registration has been released.`,
+          data: { event_id: events[0].id }
+        }, connection);
+
+        const [result] = await connection.execute(
+          'UPDATE registrations SET status = "cancelled", waitlist_position = NULL WHERE event_id = ? AND status != "cancelled"',
+          [req.params.id]
+        );
+        cancelledRegistrations = result.affectedRows;
+        await refreshRegistrationCounts(connection, req.params.id);
+      }
+
+      await connection.commit();
+
+      const response = { message: `Event ${nextStatus} successfully`, status: nextStatus };
+      if (nextStatus === 'cancelled') {
+        response.cancelled_registrations = cancelledRegistrations;
+      }
+
+      res.json(response);
+    } catch (error) {
+      await connection.rollback();
+      console.error(`${action} event error:`, error);
+      res.status(500).json({ error: `Failed to ${action} event` });
+    } finally {
+      connection.release();
+    }
+  }
+];
+
+// Publish event (Admin only)
+router.post('/:id/publish', ...transitionEvent('publish', 'active'));
+
+// Mark event as completed (Admin only)
+router.post('/:id/complete', ...transitionEvent('complete', 'completed'));
+
+// Cancel event and all of its registrations (Admin only)
+router.post('/:id/cancel', ...transitionEvent('cancel', 'cancelled'));
+
+// Delete event and its uploads (Admin only, draft or cancelled events)
+router.delete('/:id', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [events] = await db.execute(
+      'SELECT id, status FROM events WHERE id = ? AND college_id = ?',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (events.length === 0) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // Active and completed events carry registrations, attendance and certificates
+    if (!['draft', 'cancelled'].includes(events[0].status)) {
+      return res.status(409).json({ error: 'Only draft or cancelled events can be deleted, cancel the event first' });
+    }
+
+    // Certificate rows cascade with the event, their PDFs have to go separately
+    const [certificates] = await db.execute('SELECT certificate_id FROM certificates WHERE event_id = ?', [req.params.id]);
+
+    await db.execute('DELETE FROM events WHERE id = ?', [req.params.id]);
+    await removeEventUploads(req.params.id);
+    await removeCertificateFiles(certificates.map(certificate => certificate.certificate_id));
+
+    res.json({ message: 'Event deleted successfully' });
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ error: 'Failed to delete event' });
+  }
+});
+
+// Check the event belongs to the admin's college before any file is written
+const loadEventForUpload = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const [events] = await db.execute(
+      'SELECT id FROM events WHERE id = ? AND college_id = ?',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (events.length === 0) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Load event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Remove the files of this request from disk
+const removeUploadedFiles = (req) => Promise.all(
+  req.files.map(file => removeStoredFile({ event_id: req.params.id, stored_name: file.filename }))
+);
+
+// Save uploaded files in event_files, removing them from disk if that fails
+const saveEventFiles = async (conn, req, kind) => {
+  const saved = [];
+
+  try {
+    for (const file of req.files) {
+      const [result] = await conn.execute(
+        'INSERT INTO event_files (event_id, college_id, kind, original_name, stored_name, mime_type, size_bytes, uploaded_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [req.params.id, req.user.college_id, kind, file.originalname.slice(0, 255), file.filename, file.mimetype, file.size, req.user.id]
+      );
+      saved.push({
+        id: result.insertId, event_id: parseInt(req.params.id), kind, original_name: file.originalname,
+        stored_name: file.filename, mime_type: file.mimetype, size_bytes: file.size, created_at: new Date()
+      });
+    }
+  } catch (error) {
+    await removeUploadedFiles(req);
+    await Promise.all(saved.map(file => conn.execute('DELETE FROM event_files WHERE id = ?', [file.id])));
+    throw error;
+  }
+
+  return saved;
+};
+
+// Upload or replace the event banner (Admin only, multipart field "banner")
+router.put('/:id/banner', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt()
+], loadEventForUpload, eventFileUpload('banner'), async (req, res) => {
+  let connection;
+  let committed = false;
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Banner image is required in the "banner" field' });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    // The event row lock serializes concurrent uploads, so exactly one banner remains
+    const [events] = await connection.execute(
+      'SELECT id FROM events WHERE id = ? AND college_id = ? FOR UPDATE',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (events.length === 0) {
+      await connection.rollback();
+      await removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const [previous] = await connection.execute(
+      'SELECT * FROM event_files WHERE event_id = ? AND kind = "banner"',
+      [req.params.id]
+    );
+
+    const [banner] = await saveEventFiles(connection, req, 'banner');
+
+    for (const file of previous) {
+      await connection.execute('DELETE FROM event_files WHERE id = ?', [file.id]);
+    }
+
+    await connection.commit();
+    committed = true;
+
+    // Old images go only once the new row is committed
+    await Promise.all(previous.map(removeStoredFile));
+
+    res.json({ message: 'Banner uploaded successfully', file: serializeFile(banner) });
+  } catch (error) {
+    if (connection && !committed) {
+      await connection.rollback();
+      await removeUploadedFiles(req);
+    }
+    console.error('Upload banner error:', error);
+    res.status(500).json({ error: 'Failed to upload banner' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Upload attachments such as agendas or slides (Admin only, multipart field "files")
+router.post('/:id/attachments', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt()
+], loadEventForUpload, eventFileUpload('attachment'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required in the "files" field' });
+    }
+
+    const files = await saveEventFiles(db, req, 'attachment');
+
+    res.status(201).json({ message: 'Attachments uploaded successfully', files: files.map(serializeFile) });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ error: 'Failed to upload attachments' });
+  }
+});
+
+// Delete a banner or attachment (Admin only)
+router.delete('/:id/files/:fileId', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt(),
+  param('fileId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [files] = await db.execute(
+      'SELECT * FROM event_files WHERE id = ? AND event_id = ? AND college_id = ?',
+      [req.params.fileId, req.params.id, req.user.college_id]
+    );
+
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await db.execute('DELETE FROM event_files WHERE id = ?', [files[0].id]);
+    await removeStoredFile(files[0]);
+
+    res.json({ message: 'File deleted successfully' });
+  } catch (error) {
+    console.error('Delete event file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,21 +2,76 @@ const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { refreshFeedbackStats } = require('../utils/eventStats');
+const { CATEGORY_RATINGS, getEventSurvey, lockEventSurvey, validateAnswers, saveAnswers, summarizeSurvey } = require('../utils/surveys');
 
 const router = express.Router();
 
+const categoryRatingValidators = Object.keys(CATEGORY_RATINGS).map(field => body(field).optional({ values: 'null' }).isInt({ min: 1, max: 5 }));
+
+// Moderation actions set or clear one timestamp column on the feedback row
+const MODERATION_ACTIONS = {
+  flag: { column: 'flagged_at', set: true, state: 'flagged' },
+  unflag: { column: 'flagged_at', set: false, state: 'flagged' },
+  hide: { column: 'hidden_at', set: true, state: 'hidden' },
+  unhide: { column: 'hidden_at', set: false, state: 'hidden' }
+};
+
+// Record who moderated a feedback entry and why (call inside the same transaction)
+const logModeration = async (conn, feedback, adminId, action, reason) => {
+  await conn.execute(
+    'INSERT INTO feedback_moderation_log (feedback_id, college_id, admin_id, action, reason) VALUES (?, ?, ?, ?, ?)',
+    [feedback.id, feedback.college_id, adminId, action, reason || null]
+  );
+};
+
+// Lock a feedback entry of the admin's college for moderation
+const lockFeedback = async (conn, feedbackId, collegeId) => {
+  const [rows] = await conn.execute(
+    'SELECT id, event_id, college_id, flagged_at, hidden_at, response FROM feedback WHERE id = ? AND college_id = ? FOR UPDATE',
+    [feedbackId, collegeId]
+  );
+  return rows[0] || null;
+};
+
+// Columns of a feedback entry its author sees. Moderation state (flagged_at,
+// hidden_at) is for organizers only.
+const STUDENT_FEEDBACK_FIELDS = [
+  'id', 'event_id', 'rating', ...Object.keys(CATEGORY_RATINGS), 'comments', 'suggestions', 'anonymous',
+  'submitted_at', 'response', 'responded_at'
+].map(column => `f.${column}`).join(', ');
+
+// Organizers also see the moderation state; the author is resolved separately
+// so anonymous entries never expose it
+const ADMIN_FEEDBACK_FIELDS = `${STUDENT_FEEDBACK_FIELDS}, f.flagged_at, f.hidden_at, f.responded_by`;
+
+const SURVEY_CHANGED = 'The event survey changed while you were answering, please reload it and answer again';
+
+// Validate answers again against the event's survey as locked in this
+// transaction. Returns the rows to save, or null if they no longer fit the
+// survey (it was replaced or removed after the answers were first checked).
+const checkAnswersAgainstLockedSurvey = async (conn, eventId, input) => {
+  const survey = await lockEventSurvey(conn, eventId);
+  const { errors, answers } = validateAnswers(survey ? survey.questions : [], input);
+  return errors.length > 0 ? null : answers;
+};
+
 // Submit feedback (Student only)
 router.post('/', authenticateToken, requireSameCollege, [
   body('event_id').isInt(),
   body('rating').isInt({ min: 1, max: 5 }),
   body('comments').optional().isLength({ max: 1000 }),
   body('suggestions').optional().isLength({ max: 1000 }),
-  body('anonymous').optional().isBoolean()
+  body('anonymous').optional().isBoolean(),
+  ...categoryRatingValidators,
+  body('answers').optional().isArray()
 ], async (req, res) => {
   if (req.user.role !== 'student') {
     return res.status(403).json({ error: 'Only students can submit feedback' });
   }
 
+  let connection;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -45,20 +100,50 @@ router.post('/', authenticateToken, requireSameCollege, [
       return res.status(400).json({ error: 'Feedback already submitted for this event' });
     }
 
+    // Answers to the event's custom survey, if it has one
+    const survey = await getEventSurvey(event_id);
+    const { errors: answerErrors } = validateAnswers(survey ? survey.questions : [], req.body.answers);
+    if (answerErrors.length > 0) {
+      return res.status(400).json({ errors: answerErrors });
+    }
+
+    const categoryRatings = Object.keys(CATEGORY_RATINGS).map(field => req.body[field] ?? null);
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const locked = await checkAnswersAgainstLockedSurvey(connection, event_id, req.body.answers);
+    if (!locked) {
+      await connection.rollback();
+      return res.status(409).json({ error: SURVEY_CHANGED });
+    }
+
     // Insert feedback
-    const [result] = await db.execute(
-      'INSERT INTO feedback (college_id, event_id, student_id, rating, comments, suggestions, anonymous) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [req.user.college_id, event_id, req.user.id, rating, comments, suggestions, anonymous]
+    const [result] = await connection.execute(
+      `INSERT INTO feedback (college_id, event_id, student_id, rating, comments, suggestions, anonymous, ${Object.keys(CATEGORY_RATINGS).join(', ')})
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.college_id, event_id, req.user.id, rating, comments ?? null, suggestions ?? null, anonymous, ...categoryRatings]
     );
 
+    await saveAnswers(connection, result.insertId, locked);
+    await refreshFeedbackStats(connection, event_id);
+
+    await connection.commit();
+
     res.status(201).json({
       message: 'Feedback submitted successfully',
       feedback_id: result.insertId
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Feedback already submitted for this event' });
+    }
     console.error('Submit feedback error:', error);
     res.status(500).json({ error: 'Failed to submit feedback' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
@@ -68,12 +153,16 @@ router.put('/:id', authenticateToken, requireSameCollege, [
   body('rating').optional().isInt({ min: 1, max: 5 }),
   body('comments').optional().isLength({ max: 1000 }),
   body('suggestions').optional().isLength({ max: 1000 }),
-  body('anonymous').optional().isBoolean()
+  body('anonymous').optional().isBoolean(),
+  ...categoryRatingValidators,
+  body('answers').optional().isArray()
 ], async (req, res) => {
   if (req.user.role !== 'student') {
     return res.status(403).json({ error: 'Only students can update feedback' });
   }
 
+  let connection;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -82,7 +171,7 @@ router.put('/:id', authenticateToken, requireSameCollege, [
 
     // Check if feedback exists and belongs to student
     const [existing] = await db.execute(
-      'SELECT id FROM feedback WHERE id = ? AND student_id = ? AND college_id = ?',
+      'SELECT id, event_id FROM feedback WHERE id = ? AND student_id = ? AND college_id = ?',
       [req.params.id, req.user.id, req.user.college_id]
     );
 
@@ -91,7 +180,7 @@ router.put('/:id', authenticateToken, requireSameCollege, [
     }
 
     // Build update query
-    const allowedFields = ['rating', 'comments', 'suggestions', 'anonymous'];
+    const allowedFields = ['rating', 'comments', 'suggestions', 'anonymous', ...Object.keys(CATEGORY_RATINGS)];
     const updates = [];
     const params = [];
 
@@ -102,22 +191,58 @@ router.put('/:id', authenticateToken, requireSameCollege, [
       }
     }
 
-    if (updates.length === 0) {
+    // Answers, when sent, replace the previous set
+    if (req.body.answers !== undefined) {
+      const survey = await getEventSurvey(existing[0].event_id);
+      const validated = validateAnswers(survey ? survey.questions : [], req.body.answers);
+      if (validated.errors.length > 0) {
+        return res.status(400).json({ errors: validated.errors });
+      }
+    }
+
+    if (updates.length === 0 && req.body.answers === undefined) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
-    params.push(req.params.id);
+    connection = await db.getConnection();
+    await connection.beginTransaction();
 
-    await db.execute(
-      `UPDATE feedback SET ${updates.join(', ')} WHERE id = ?`,
-      params
-    );
+    let answers;
+    if (req.body.answers !== undefined) {
+      answers = await checkAnswersAgainstLockedSurvey(connection, existing[0].event_id, req.body.answers);
+      if (!answers) {
+        await connection.rollback();
+        return res.status(409).json({ error: SURVEY_CHANGED });
+      }
+    }
+
+    if (updates.length > 0) {
+      params.push(req.params.id);
+
+      await connection.execute(
+        `UPDATE feedback SET ${updates.join(', ')} WHERE id = ?`,
+        params
+      );
+    }
+
+    if (answers !== undefined) {
+      await saveAnswers(connection, req.params.id, answers);
+    }
+
+    if (req.body.rating !== undefined) {
+      await refreshFeedbackStats(connection, existing[0].event_id);
+    }
+
+    await connection.commit();
 
     res.json({ message: 'Feedback updated successfully' });
 
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error('Update feedback error:', error);
     res.status(500).json({ error: 'Failed to update feedback' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
@@ -132,7 +257,7 @@ router.get('/event/:eventId', authenticateToken, requireRole(['admin']), require
     }
 
     const [feedback] = await db.execute(`
-      SELECT f.*, 
+      SELECT ${ADMIN_FEEDBACK_FIELDS},
              CASE WHEN f.anonymous = true THEN 'Anonymous' ELSE CONCAT(s.first_name, ' ', s.last_name) END as student_name,
              CASE WHEN f.anonymous = true THEN NULL ELSE s.student_id END as student_id
       FROM feedback f
@@ -141,19 +266,37 @@ router.get('/event/:eventId', authenticateToken, requireRole(['admin']), require
       ORDER BY f.submitted_at DESC
     `, [req.params.eventId, req.user.college_id]);
 
+    // Hidden entries are still listed for moderators but never counted
+    const visible = feedback.filter(f => f.hidden_at === null);
+
     // Calculate summary statistics
     const summary = {
-      total_feedback: feedback.length,
-      average_rating: feedback.length > 0 ? (feedback.reduce((sum, f) => sum + f.rating, 0) / feedback.length).toFixed(2) : 0,
+      total_feedback: visible.length,
+      hidden_count: feedback.length - visible.length,
+      flagged_count: feedback.filter(f => f.flagged_at !== null).length,
+      average_rating: visible.length > 0 ? (visible.reduce((sum, f) => sum + f.rating, 0) / visible.length).toFixed(2) : 0,
       rating_distribution: {
-        1: feedback.filter(f => f.rating === 1).length,
-        2: feedback.filter(f => f.rating === 2).length,
-        3: feedback.filter(f => f.rating === 3).length,
-        4: feedback.filter(f => f.rating === 4).length,
-        5: feedback.filter(f => f.rating === 5).length
-      }
+        1: visible.filter(f => f.rating === 1).length,
+        2: visible.filter(f => f.rating === 2).length,
+        3: visible.filter(f => f.rating === 3).length,
+        4: visible.filter(f => f.rating === 4).length,
+        5: visible.filter(f => f.rating === 5).length
+      },
+      category_averages: {}
     };
 
+    for (const field of Object.keys(CATEGORY_RATINGS)) {
+      const rated = visible.filter(f => f[field] !== null);
+      summary.category_averages[field.replace('_rating', '')] = rated.length > 0
+        ? (rated.reduce((sum, f) => sum + f[field], 0) / rated.length).toFixed(2)
+        : null;
+    }
+
+    const survey = await getEventSurvey(req.params.eventId);
+    if (survey) {
+      summary.survey = { id: survey.id, title: survey.title, questions: await summarizeSurvey(survey) };
+    }
+
     res.json({ feedback, summary });
 
   } catch (error) {
@@ -170,9 +313,11 @@ router.get('/my-feedback', authenticateToken, requireSameCollege, async (req, re
 
   try {
     const [feedback] = await db.execute(`
-      SELECT f.*, e.title, e.event_date
+      SELECT ${STUDENT_FEEDBACK_FIELDS}, e.title, e.event_date,
+             CONCAT(a.first_name, ' ', a.last_name) as responded_by_name
       FROM feedback f
       JOIN events e ON f.event_id = e.id
+      LEFT JOIN admins a ON f.responded_by = a.id
       WHERE f.student_id = ? AND f.college_id = ?
       ORDER BY f.submitted_at DESC
     `, [req.user.id, req.user.college_id]);
@@ -185,4 +330,180 @@ router.get('/my-feedback', authenticateToken, requireSameCollege, async (req, re
   }
 });
 
+// Flag, unflag, hide or unhide a feedback entry (Admin only)
+router.post('/:id/moderation', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt(),
+  body('action').isIn(Object.keys(MODERATION_ACTIONS)),
+  body('reason').trim().notEmpty().isLength({ max: 500 })
+], async (req, res) => {
+  let connection;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, reason } = req.body;
+    const { column, set, state } = MODERATION_ACTIONS[action];
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const feedback = await lockFeedback(connection, req.params.id, req.user.college_id);
+
+    if (!feedback) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    if ((feedback[column] !== null) === set) {
+      await connection.rollback();
+      return res.status(409).json({ error: `Feedback is ${set ? 'already' : 'not'} ${state}` });
+    }
+
+    await connection.execute(`UPDATE feedback SET ${column} = ${set ? 'NOW()' : 'NULL'} WHERE id = ?`, [feedback.id]);
+
+    if (column === 'hidden_at') {
+      await refreshFeedbackStats(connection, feedback.event_id);
+    }
+
+    await logModeration(connection, feedback, req.user.id, action, reason);
+
+    await connection.commit();
+
+    res.json({ message: `Feedback ${set ? '' : 'no longer '}${state}` });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Moderate feedback error:', error);
+    res.status(500).json({ error: 'Failed to moderate feedback' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Post or replace the organizer's public response to a feedback entry (Admin only)
+router.put('/:id/response', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt(),
+  body('response').trim().notEmpty().isLength({ max: 2000 }),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  let connection;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const feedback = await lockFeedback(connection, req.params.id, req.user.college_id);
+
+    if (!feedback) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    await connection.execute(
+      'UPDATE feedback SET response = ?, responded_by = ?, responded_at = NOW() WHERE id = ?',
+      [req.body.response, req.user.id, feedback.id]
+    );
+
+    await logModeration(connection, feedback, req.user.id, 'respond', req.body.reason);
+
+    await connection.commit();
+
+    res.json({ message: 'Response saved successfully' });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Respond to feedback error:', error);
+    res.status(500).json({ error: 'Failed to save response' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Remove the organizer's response (Admin only)
+router.delete('/:id/response', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  let connection;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const feedback = await lockFeedback(connection, req.params.id, req.user.college_id);
+
+    if (!feedback || feedback.response === null) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    await connection.execute(
+      'UPDATE feedback SET response = NULL, responded_by = NULL, responded_at = NULL WHERE id = ?',
+      [feedback.id]
+    );
+
+    await logModeration(connection, feedback, req.user.id, 'remove_response', req.body.reason);
+
+    await connection.commit();
+
+    res.json({ message: 'Response removed successfully' });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Remove feedback response error:', error);
+    res.status(500).json({ error: 'Failed to remove response' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Moderation history of a feedback entry (Admin only)
+router.get('/:id/moderation-log', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [feedback] = await db.execute(
+      'SELECT id FROM feedback WHERE id = ? AND college_id = ?',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (feedback.length === 0) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    const [log] = await db.execute(`
+      SELECT l.id, l.action, l.reason, l.created_at, l.admin_id,
+             CONCAT(a.first_name, ' ', a.last_name) as admin_name
+      FROM feedback_moderation_log l
+      LEFT JOIN admins a ON l.admin_id = a.id
+      WHERE l.feedback_id = ?
+      ORDER BY l.created_at DESC, l.id DESC
+    `, [req.params.id]);
+
+    res.json({ log });
+
+  } catch (error) {
+    console.error('Get moderation log error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation log' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
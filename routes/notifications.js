@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireSameCollege } = require('../middleware/auth');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Notifications are for students only
+router.use(authenticateToken, requireSameCollege, (req, res, next) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students have notifications' });
+  next();
+});
+
+// List notifications
+router.get('/', [
+  query('unread_only').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { unread_only, limit = 20, offset = 0 } = req.query;
+
+    let querySql = 'SELECT id, type, title, body, data, read_at, created_at FROM notifications WHERE student_id = ?';
+    const params = [req.user.id];
+
+    if (unread_only === 'true') {
+      querySql += ' AND read_at IS NULL';
+    }
+
+    querySql += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [notifications] = await db.execute(querySql, params);
+    const [unread] = await db.execute(
+      'SELECT COUNT(*) as count FROM notifications WHERE student_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ notifications, unread_count: unread[0].count });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE student_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.affectedRows });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Get notification preferences (types without a stored row are enabled)
+router.get('/preferences', async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      'SELECT type, enabled FROM notification_preferences WHERE student_id = ?',
+      [req.user.id]
+    );
+
+    const preferences = Object.keys(NOTIFICATION_TYPES).map(type => {
+      const stored = rows.find(row => row.type === type);
+      return { type, description: NOTIFICATION_TYPES[type], enabled: stored ? Boolean(stored.enabled) : true };
+    });
+
+    res.json({ preferences });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Update notification preferences, e.g. { "preferences": { "event_updated": false } }
+router.put('/preferences', [
+  body('preferences').isObject(),
+  body('preferences').custom(preferences => {
+    for (const [type, enabled] of Object.entries(preferences)) {
+      if (!NOTIFICATION_TYPES[type]) throw new Error(`Unknown notification type "${type}"`);
+      if (typeof enabled !== 'boolean') throw new Error(`Preference for "${type}" must be true or false`);
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const entries = Object.entries(req.body.preferences);
+    if (entries.length === 0) return res.status(400).json({ error: 'No preferences to update' });
+
+    await db.query(
+      'INSERT INTO notification_preferences (student_id, type, enabled) VALUES ? ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)',
+      [entries.map(([type, enabled]) => [req.user.id, type, enabled])]
+    );
+
+    res.json({ message: 'Notification preferences updated' });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Mark one notification as read
+router.patch('/:id/read', [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [result] = await db.execute(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND student_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Notification not found' });
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+module.exports = router;
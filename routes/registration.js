@@ -1,31 +1,54 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, requireSameCollege } = require('../middleware/auth');
+const { authenticateToken, requireSameCollege, requireVerifiedEmail } = require('../middleware/auth');
+const { cancelRegistration } = require('../utils/waitlist');
+const { refreshRegistrationCounts } = require('../utils/eventStats');
 
 const router = express.Router();
 
 // Register for an event (Student only)
-router.post('/', authenticateToken, requireSameCollege, [
+router.post('/', authenticateToken, requireSameCollege, requireVerifiedEmail, [
   body('event_id').isInt()
 ], async (req, res) => {
   if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students can register' });
 
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { event_id } = req.body;
+  const connection = await db.getConnection();
+
   try {
-    const { event_id } = req.body;
+    await connection.beginTransaction();
 
-    // Check event capacity
-    // CORRECTED: Changed 'capacity' to 'max_participants' to match your database
-    const [events] = await db.execute(
-      'SELECT max_participants FROM events WHERE id = ? AND college_id = ?',
+    // Lock the event row so concurrent registrations are serialized per event:
+    // the seat count and waitlist position below cannot change until we commit
+    const [events] = await connection.execute(
+      'SELECT max_participants, status FROM events WHERE id = ? AND college_id = ? FOR UPDATE',
       [event_id, req.user.college_id]
     );
-    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+    if (events.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (events[0].status !== 'active') {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Event is not open for registration' });
+    }
 
-    // Use the correct variable name
     const capacity = events[0].max_participants;
 
-    const [registeredCount] = await db.execute(
+    const [existing] = await connection.execute(
+      'SELECT id, status FROM registrations WHERE event_id = ? AND student_id = ?',
+      [event_id, req.user.id]
+    );
+    if (existing.length > 0 && existing[0].status !== 'cancelled') {
+      await connection.rollback();
+      return res.status(400).json({ error: `Already ${existing[0].status} for this event` });
+    }
+
+    const [registeredCount] = await connection.execute(
       'SELECT COUNT(*) as count FROM registrations WHERE event_id = ? AND status = "registered"',
       [event_id]
     );
@@ -34,22 +57,39 @@ router.post('/', authenticateToken, requireSameCollege, [
     let waitlist_position = null;
     if (registeredCount[0].count >= capacity) {
       status = 'waitlisted';
-      const [maxPosition] = await db.execute(
+      const [maxPosition] = await connection.execute(
         'SELECT MAX(waitlist_position) as max_pos FROM registrations WHERE event_id = ? AND status = "waitlisted"',
         [event_id]
       );
       waitlist_position = (maxPosition[0].max_pos || 0) + 1;
     }
 
-    await db.execute(
-      'INSERT INTO registrations (college_id, event_id, student_id, status, waitlist_position) VALUES (?, ?, ?, ?, ?)',
-      [req.user.college_id, event_id, req.user.id, status, waitlist_position]
-    );
+    if (existing.length > 0) {
+      // Re-registering after a cancellation reuses the row (unique per event and student)
+      await connection.execute(
+        'UPDATE registrations SET status = ?, waitlist_position = ?, created_at = NOW() WHERE id = ?',
+        [status, waitlist_position, existing[0].id]
+      );
+    } else {
+      await connection.execute(
+        'INSERT INTO registrations (college_id, event_id, student_id, status, waitlist_position) VALUES (?, ?, ?, ?, ?)',
+        [req.user.college_id, event_id, req.user.id, status, waitlist_position]
+      );
+    }
+
+    await refreshRegistrationCounts(connection, event_id);
+    await connection.commit();
 
     res.json({ message: `Registration ${status}`, waitlist_position });
   } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Already registered for this event' });
+    }
     console.error('Register error:', error);
     res.status(500).json({ error: 'Failed to register' });
+  } finally {
+    connection.release();
   }
 });
 
@@ -73,4 +113,61 @@ router.get('/my', authenticateToken, requireSameCollege, async (req, res) => {
   }
 });
 
+// Cancel a registration or leave the waitlist (Student only)
+router.delete('/:eventId', authenticateToken, requireSameCollege, [
+  param('eventId').isInt()
+], async (req, res) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students can cancel registrations' });
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the event first so seat counts stay consistent with concurrent registrations
+    const [events] = await connection.execute(
+      'SELECT id, college_id, title, status FROM events WHERE id = ? AND college_id = ? FOR UPDATE',
+      [req.params.eventId, req.user.college_id]
+    );
+    if (events.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    // Nothing to free up once the event is over or called off
+    if (!['draft', 'active'].includes(events[0].status)) {
+      await connection.rollback();
+      return res.status(409).json({ error: `Registrations cannot be cancelled for a ${events[0].status} event` });
+    }
+
+    const [registrations] = await connection.execute(
+      'SELECT id, status FROM registrations WHERE event_id = ? AND student_id = ? FOR UPDATE',
+      [req.params.eventId, req.user.id]
+    );
+    if (registrations.length === 0 || registrations[0].status === 'cancelled') {
+      await connection.rollback();
+      return res.status(404).json({ error: 'No active registration for this event' });
+    }
+
+    const previousStatus = registrations[0].status;
+    const promoted = await cancelRegistration(connection, events[0], registrations[0]);
+
+    await connection.commit();
+
+    res.json({
+      message: previousStatus === 'registered' ? 'Registration cancelled' : 'Removed from waitlist',
+      promoted_count: promoted.length
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Cancel registration error:', error);
+    res.status(500).json({ error: 'Failed to cancel registration' });
+  } finally {
+    connection.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,25 +1,45 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { query, param, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { REPORT_FORMATS, sendReport } = require('../utils/reportExport');
+const { analyzeSentiment, extractTerms } = require('../utils/textAnalysis');
 
 const router = express.Router();
 
+const STUDENT_COLUMNS = [
+  { label: 'Student ID', value: 'id' },
+  { label: 'First Name', value: 'first_name', width: 2 },
+  { label: 'Last Name', value: 'last_name', width: 2 },
+  { label: 'Events Attended', value: 'events_attended' }
+];
+
 // Event popularity report
 router.get('/event-popularity', authenticateToken, requireRole(['admin']), requireSameCollege, [
-  query('format').optional().isIn(['json', 'csv'])
+  query('format').optional().isIn(REPORT_FORMATS)
 ], async (req, res) => {
   try {
-    const [events] = await db.execute(`
-      SELECT e.id, e.title, COUNT(r.id) as registrations
-      FROM events e
-      LEFT JOIN registrations r ON e.id = r.event_id AND r.status = "registered"
-      WHERE e.college_id = ?
-      GROUP BY e.id
-      ORDER BY registrations DESC
-    `, [req.user.college_id]);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    res.json({ report: events });
+    await sendReport(req, res, {
+      sql: `
+        SELECT e.id, e.title, COUNT(r.id) as registrations
+        FROM events e
+        LEFT JOIN registrations r ON e.id = r.event_id AND r.status = "registered"
+        WHERE e.college_id = ?
+        GROUP BY e.id
+        ORDER BY registrations DESC
+      `,
+      params: [req.user.college_id],
+      columns: [
+        { label: 'Event ID', value: 'id' },
+        { label: 'Event', value: 'title', width: 4 },
+        { label: 'Registrations', value: 'registrations' }
+      ],
+      filename: 'event-popularity',
+      title: 'Event Popularity'
+    });
   } catch (error) {
     console.error('Event popularity report error:', error);
     res.status(500).json({ error: 'Failed to generate report' });
@@ -30,9 +50,13 @@ router.get('/event-popularity', authenticateToken, requireRole(['admin']), requi
 router.get('/student-participation', authenticateToken, requireRole(['admin']), requireSameCollege, [
   query('start_date').optional().isISO8601(),
   query('end_date').optional().isISO8601(),
-  query('event_type').optional().isString() // Add this line for the event type filter
+  query('event_type').optional().isString(), // Add this line for the event type filter
+  query('format').optional().isIn(REPORT_FORMATS)
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
     const { start_date, end_date, event_type } = req.query; // Add event_type here
 
     let query = `
@@ -53,14 +77,19 @@ router.get('/student-participation', authenticateToken, requireRole(['admin']),
     }
     // Add this block to handle the event_type filter
     if (event_type) {
-        query += ' AND e.category = ?'; 
+        query += ' AND e.category = ?';
         params.push(event_type);
     }
 
     query += ' GROUP BY s.id ORDER BY events_attended DESC';
 
-    const [students] = await db.execute(query, params);
-    res.json({ report: students });
+    await sendReport(req, res, {
+      sql: query,
+      params,
+      columns: STUDENT_COLUMNS,
+      filename: 'student-participation',
+      title: 'Student Participation'
+    });
   } catch (error) {
     console.error('Student participation report error:', error);
     res.status(500).json({ error: 'Failed to generate report' });
@@ -69,22 +98,31 @@ router.get('/student-participation', authenticateToken, requireRole(['admin']),
 
 // Leaderboard (top students by events attended)
 router.get('/leaderboard', authenticateToken, requireRole(['admin']), requireSameCollege, [
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('format').optional().isIn(REPORT_FORMATS)
 ], async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const [leaderboard] = await db.execute(`
-      SELECT s.id, s.first_name, s.last_name, COUNT(a.id) as events_attended
-      FROM students s
-      LEFT JOIN attendance a ON s.id = a.student_id AND s.college_id = a.college_id
-      WHERE s.college_id = ?
-      GROUP BY s.id
-      ORDER BY events_attended DESC
-      LIMIT ?
-    `, [req.user.college_id, limit]);
+    const limit = parseInt(req.query.limit) || 10;
 
-    res.json({ leaderboard });
+    await sendReport(req, res, {
+      sql: `
+        SELECT s.id, s.first_name, s.last_name, COUNT(a.id) as events_attended
+        FROM students s
+        LEFT JOIN attendance a ON s.id = a.student_id AND s.college_id = a.college_id
+        WHERE s.college_id = ?
+        GROUP BY s.id
+        ORDER BY events_attended DESC
+        LIMIT ?
+      `,
+      params: [req.user.college_id, limit],
+      columns: STUDENT_COLUMNS,
+      filename: 'leaderboard',
+      title: 'Leaderboard',
+      jsonKey: 'leaderboard'
+    });
   } catch (error) {
     console.error('Leaderboard report error:', error);
     res.status(500).json({ error: 'Failed to generate leaderboard' });
@@ -92,24 +130,40 @@ router.get('/leaderboard', authenticateToken, requireRole(['admin']), requireSam
 });
 
 // Attendance Percentage Report
-router.get('/attendance-percentage', authenticateToken, requireRole(['admin']), requireSameCollege, async (req, res) => {
+router.get('/attendance-percentage', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  query('format').optional().isIn(REPORT_FORMATS)
+], async (req, res) => {
   try {
-    const [report] = await db.execute(`
-      SELECT 
-        e.id, 
-        e.title, 
-        COUNT(r.id) as registered_count, 
-        COUNT(a.id) as attended_count,
-        (COUNT(a.id) / COUNT(r.id)) * 100 as attendance_percentage
-      FROM events e
-      LEFT JOIN registrations r ON e.id = r.event_id AND r.status = 'registered'
-      LEFT JOIN attendance a ON e.id = a.event_id
-      WHERE e.college_id = ?
-      GROUP BY e.id
-      ORDER BY attendance_percentage DESC
-    `, [req.user.college_id]);
-
-    res.json({ report });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    // DISTINCT: joining both tables on the event multiplies the rows
+    await sendReport(req, res, {
+      sql: `
+        SELECT
+          e.id,
+          e.title,
+          COUNT(DISTINCT r.id) as registered_count,
+          COUNT(DISTINCT a.id) as attended_count,
+          (COUNT(DISTINCT a.id) / COUNT(DISTINCT r.id)) * 100 as attendance_percentage
+        FROM events e
+        LEFT JOIN registrations r ON e.id = r.event_id AND r.status = 'registered'
+        LEFT JOIN attendance a ON e.id = a.event_id
+        WHERE e.college_id = ?
+        GROUP BY e.id
+        ORDER BY attendance_percentage DESC
+      `,
+      params: [req.user.college_id],
+      columns: [
+        { label: 'Event ID', value: 'id' },
+        { label: 'Event', value: 'title', width: 4 },
+        { label: 'Registered', value: 'registered_count' },
+        { label: 'Attended', value: 'attended_count' },
+        { label: 'Attendance %', value: row => (row.attendance_percentage === null ? '' : Number(row.attendance_percentage).toFixed(2)) }
+      ],
+      filename: 'attendance-percentage',
+      title: 'Attendance Percentage'
+    });
   } catch (error) {
     console.error('Attendance percentage report error:', error);
     res.status(500).json({ error: 'Failed to generate report' });
@@ -117,22 +171,36 @@ router.get('/attendance-percentage', authenticateToken, requireRole(['admin']),
 });
 
 // Average Feedback Score Report
-router.get('/average-feedback', authenticateToken, requireRole(['admin']), requireSameCollege, async (req, res) => {
+router.get('/average-feedback', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  query('format').optional().isIn(REPORT_FORMATS)
+], async (req, res) => {
   try {
-    const [report] = await db.execute(`
-      SELECT 
-        e.id, 
-        e.title, 
-        AVG(f.rating) as average_rating,
-        COUNT(f.id) as feedback_count
-      FROM events e
-      LEFT JOIN feedback f ON e.id = f.event_id
-      WHERE e.college_id = ?
-      GROUP BY e.id
-      ORDER BY average_rating DESC
-    `, [req.user.college_id]);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    res.json({ report });
+    await sendReport(req, res, {
+      sql: `
+        SELECT
+          e.id,
+          e.title,
+          AVG(f.rating) as average_rating,
+          COUNT(f.id) as feedback_count
+        FROM events e
+        LEFT JOIN feedback f ON e.id = f.event_id AND f.hidden_at IS NULL
+        WHERE e.college_id = ?
+        GROUP BY e.id
+        ORDER BY average_rating DESC
+      `,
+      params: [req.user.college_id],
+      columns: [
+        { label: 'Event ID', value: 'id' },
+        { label: 'Event', value: 'title', width: 4 },
+        { label: 'Average Rating', value: row => (row.average_rating === null ? '' : Number(row.average_rating).toFixed(2)) },
+        { label: 'Feedback Count', value: 'feedback_count' }
+      ],
+      filename: 'average-feedback',
+      title: 'Average Feedback Score'
+    });
   } catch (error) {
     console.error('Average feedback report error:', error);
     res.status(500).json({ error: 'Failed to generate report' });
@@ -140,22 +208,160 @@ router.get('/average-feedback', authenticateToken, requireRole(['admin']), requi
 });
 
 // Top 3 Most Active Students (Bonus)
-router.get('/top-students', authenticateToken, requireRole(['admin']), requireSameCollege, async (req, res) => {
+router.get('/top-students', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  query('format').optional().isIn(REPORT_FORMATS)
+], async (req, res) => {
   try {
-    const [topStudents] = await db.execute(`
-      SELECT s.id, s.first_name, s.last_name, COUNT(a.id) as events_attended
-      FROM students s
-      JOIN attendance a ON s.id = a.student_id
-      WHERE s.college_id = ?
-      GROUP BY s.id
-      ORDER BY events_attended DESC
-      LIMIT 3
-    `, [req.user.college_id]);
-
-    res.json({ top_students: topStudents });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    await sendReport(req, res, {
+      sql: `
+        SELECT s.id, s.first_name, s.last_name, COUNT(a.id) as events_attended
+        FROM students s
+        JOIN attendance a ON s.id = a.student_id
+        WHERE s.college_id = ?
+        GROUP BY s.id
+        ORDER BY events_attended DESC
+        LIMIT 3
+      `,
+      params: [req.user.college_id],
+      columns: STUDENT_COLUMNS,
+      filename: 'top-students',
+      title: 'Top Students',
+      jsonKey: 'top_students'
+    });
   } catch (error) {
     console.error('Top students report error:', error);
     res.status(500).json({ error: 'Failed to generate top students report' });
   }
 });
+
+// Sentiment breakdown of a set of analysed comments
+const summarizeSentiment = (analyzed) => ({
+  comment_count: analyzed.length,
+  positive: analyzed.filter(a => a.label === 'positive').length,
+  neutral: analyzed.filter(a => a.label === 'neutral').length,
+  negative: analyzed.filter(a => a.label === 'negative').length,
+  average_score: analyzed.length > 0
+    ? Math.round((analyzed.reduce((sum, a) => sum + a.score, 0) / analyzed.length) * 100) / 100
+    : null
+});
+
+// Feedback comment analysis for one event: keywords, phrases, sentiment and the most negative comments
+router.get('/feedback-analysis/:eventId', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('eventId').isInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const limit = parseInt(req.query.limit) || 10;
+
+    const [events] = await db.execute(
+      'SELECT id, title, event_date, category FROM events WHERE id = ? AND college_id = ?',
+      [req.params.eventId, req.user.college_id]
+    );
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+
+    // Same anonymity rules as GET /api/feedback/event/:eventId; hidden feedback is left out
+    const [feedback] = await db.execute(`
+      SELECT f.id, f.rating, f.comments, f.suggestions, f.submitted_at,
+             CASE WHEN f.anonymous = true THEN 'Anonymous' ELSE CONCAT(s.first_name, ' ', s.last_name) END as student_name,
+             CASE WHEN f.anonymous = true THEN NULL ELSE s.student_id END as student_id
+      FROM feedback f
+      JOIN students s ON f.student_id = s.id
+      WHERE f.event_id = ? AND f.college_id = ? AND f.hidden_at IS NULL
+    `, [req.params.eventId, req.user.college_id]);
+
+    const analyzed = feedback
+      .filter(f => f.comments && f.comments.trim())
+      .map(f => ({
+        feedback_id: f.id,
+        student_name: f.student_name,
+        student_id: f.student_id,
+        rating: f.rating,
+        comment: f.comments,
+        submitted_at: f.submitted_at,
+        ...analyzeSentiment(f.comments)
+      }));
+
+    const { keywords, phrases } = extractTerms(
+      feedback.map(f => [f.comments, f.suggestions].filter(Boolean).join('\n')).filter(Boolean),
+      { limit: 20 }
+    );
+
+    const mostNegative = analyzed
+      .filter(a => a.label === 'negative')
+      .sort((a, b) => a.score - b.score || a.comparative - b.comparative)
+      .slice(0, limit);
+
+    res.json({
+      event: events[0],
+      feedback_count: feedback.length,
+      sentiment: summarizeSentiment(analyzed),
+      keywords,
+      phrases,
+      most_negative: mostNegative
+    });
+  } catch (error) {
+    console.error('Feedback analysis report error:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+// Comment sentiment for each event of a category, oldest first
+router.get('/feedback-sentiment-trend', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  query('category').notEmpty(),
+  query('start_date').optional().isISO8601(),
+  query('end_date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { category, start_date, end_date } = req.query;
+
+    let querySql = `
+      SELECT e.id as event_id, e.title, e.event_date, f.comments
+      FROM events e
+      JOIN feedback f ON f.event_id = e.id
+      WHERE e.college_id = ? AND e.category = ? AND f.comments IS NOT NULL AND f.comments != '' AND f.hidden_at IS NULL`;
+    const params = [req.user.college_id, category];
+
+    if (start_date) {
+      querySql += ' AND e.event_date >= ?';
+      params.push(start_date);
+    }
+    if (end_date) {
+      querySql += ' AND e.event_date <= ?';
+      params.push(end_date);
+    }
+
+    querySql += ' ORDER BY e.event_date ASC, e.id ASC';
+
+    const [rows] = await db.execute(querySql, params);
+
+    const byEvent = new Map();
+    for (const row of rows) {
+      if (!byEvent.has(row.event_id)) {
+        byEvent.set(row.event_id, { event_id: row.event_id, title: row.title, event_date: row.event_date, analyzed: [] });
+      }
+      byEvent.get(row.event_id).analyzed.push(analyzeSentiment(row.comments));
+    }
+
+    const trend = [...byEvent.values()].map(({ analyzed, ...event }) => ({ ...event, ...summarizeSentiment(analyzed) }));
+
+    res.json({
+      category,
+      overall: summarizeSentiment(rows.map(row => analyzeSentiment(row.comments))),
+      trend
+    });
+  } catch (error) {
+    console.error('Feedback sentiment trend report error:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireSameCollege } = require('../middleware/auth');
+const { revokeAllForUser } = require('../utils/authTokens');
+const { certificateUrl } = require('../utils/certificate');
+const { cancelRegistration } = require('../utils/waitlist');
+
+const router = express.Router();
+
+// Self-service endpoints for the signed-in student
+router.use(authenticateToken, requireSameCollege, (req, res, next) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students have a student profile' });
+  next();
+});
+
+// Get own profile
+router.get('/me', async (req, res) => {
+  try {
+    const [students] = await db.execute(`
+      SELECT s.id, s.email, s.student_id, s.first_name, s.last_name, s.department, s.year_of_study,
+             s.phone, s.email_notifications, s.email_verified_at, s.created_at,
+             c.id as college_id, c.name as college_name
+      FROM students s
+      JOIN colleges c ON s.college_id = c.id
+      WHERE s.id = ?
+    `, [req.user.id]);
+
+    const { email_verified_at, email_notifications, ...profile } = students[0];
+
+    res.json({
+      student: {
+        ...profile,
+        email_verified: Boolean(email_verified_at),
+        email_notifications: Boolean(email_notifications)
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Update own profile. Email and student ID are managed by the college.
+router.patch('/me', [
+  body('first_name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('last_name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('department').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  body('year_of_study').optional({ values: 'null' }).isInt({ min: 1, max: 10 }).toInt(),
+  body('phone').optional({ values: 'null' }).matches(/^\+?[0-9 ()-]{7,20}$/),
+  body('email_notifications').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const allowedFields = ['first_name', 'last_name', 'department', 'year_of_study', 'phone', 'email_notifications'];
+    const updates = [];
+    const params = [];
+
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        // An empty department or phone clears it
+        params.push(req.body[field] === '' ? null : req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    params.push(req.user.id);
+
+    await db.execute(`UPDATE students SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    res.json({ message: 'Profile updated successfully' });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Participation history: one entry per event registered for or attended
+router.get('/me/history', async (req, res) => {
+  try {
+    const [history] = await db.execute(`
+      SELECT e.id as event_id, e.title, e.category, e.venue, e.event_date, e.duration_hours, e.status as event_status,
+             r.status as registration_status, r.waitlist_position, r.created_at as registered_at,
+             a.checked_in_at,
+             f.id as feedback_id, f.rating as feedback_rating, f.submitted_at as feedback_submitted_at,
+             c.certificate_id, c.issued_at as certificate_issued_at
+      FROM events e
+      LEFT JOIN registrations r ON r.event_id = e.id AND r.student_id = ?
+      LEFT JOIN attendance a ON a.event_id = e.id AND a.student_id = ?
+      LEFT JOIN feedback f ON f.event_id = e.id AND f.student_id = ?
+      LEFT JOIN certificates c ON c.event_id = e.id AND c.student_id = ?
+      WHERE e.college_id = ? AND (r.id IS NOT NULL OR a.id IS NOT NULL)
+      ORDER BY e.event_date DESC, e.id DESC
+    `, [req.user.id, req.user.id, req.user.id, req.user.id, req.user.college_id]);
+
+    history.forEach(entry => {
+      entry.attended = entry.checked_in_at !== null;
+      entry.certificate_url = entry.certificate_id ? certificateUrl(entry.certificate_id) : null;
+    });
+
+    const attended = history.filter(entry => entry.attended);
+
+    res.json({
+      summary: {
+        events_registered: history.filter(entry => entry.registration_status && entry.registration_status !== 'cancelled').length,
+        events_attended: attended.length,
+        hours_attended: attended.reduce((sum, entry) => sum + (parseFloat(entry.duration_hours) || 0), 0),
+        feedback_given: history.filter(entry => entry.feedback_id !== null).length,
+        certificates_earned: history.filter(entry => entry.certificate_id !== null).length
+      },
+      history
+    });
+  } catch (error) {
+    console.error('Get participation history error:', error);
+    res.status(500).json({ error: 'Failed to fetch participation history' });
+  }
+});
+
+// Deactivate own account: releases upcoming seats, stops the calendar feed and
+// signs out every session. Login is refused from then on.
+router.post('/me/deactivate', [
+  body('password').notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    const [students] = await connection.execute('SELECT password_hash FROM students WHERE id = ?', [req.user.id]);
+
+    const isMatch = await bcrypt.compare(req.body.password, students[0].password_hash);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    await connection.beginTransaction();
+
+    // Lock events in id order, like single registrations do, before touching their rows
+    const [registrations] = await connection.execute(`
+      SELECT r.id, r.status, r.event_id
+      FROM registrations r
+      JOIN events e ON r.event_id = e.id
+      WHERE r.student_id = ? AND r.status IN ("registered", "waitlisted") AND e.status IN ("draft", "active")
+      ORDER BY r.event_id
+    `, [req.user.id]);
+
+    for (const registration of registrations) {
+      const [events] = await connection.execute(
+        'SELECT id, college_id, title FROM events WHERE id = ? FOR UPDATE',
+        [registration.event_id]
+      );
+      const [current] = await connection.execute(
+        'SELECT id, status FROM registrations WHERE id = ? FOR UPDATE',
+        [registration.id]
+      );
+
+      if (current[0].status !== 'cancelled') {
+        await cancelRegistration(connection, events[0], current[0]);
+      }
+    }
+
+    await connection.execute(
+      'UPDATE students SET is_active = false, deactivated_at = NOW(), calendar_token_hash = NULL WHERE id = ?',
+      [req.user.id]
+    );
+    await revokeAllForUser(connection, req.user.id, req.user.role);
+
+    await connection.commit();
+
+    res.json({
+      message: 'Account deactivated',
+      cancelled_registrations: registrations.length
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Deactivate account error:', error);
+    res.status(500).json({ error: 'Failed to deactivate account' });
+  } finally {
+    connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { CATEGORY_RATINGS, validateQuestions, loadQuestions, getEventSurvey, saveQuestions } = require('../utils/surveys');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireSameCollege);
+
+const requireAdmin = requireRole(['admin']);
+
+// A survey's questions are frozen once a student has answered them. Check
+// inside the transaction that changes the survey, after locking its row.
+const hasAnswers = async (surveyId, conn = db) => {
+  const [answers] = await conn.execute(`
+    SELECT 1 FROM feedback_answers fa
+    JOIN survey_questions q ON fa.question_id = q.id
+    WHERE q.survey_id = ?
+    LIMIT 1
+  `, [surveyId]);
+  return answers.length > 0;
+};
+
+const findTemplate = async (id, collegeId) => {
+  const [templates] = await db.execute(
+    'SELECT id, title, created_at FROM surveys WHERE id = ? AND college_id = ? AND is_template = true',
+    [id, collegeId]
+  );
+  return templates[0];
+};
+
+// List the college's survey templates (Admin only)
+router.get('/templates', requireAdmin, async (req, res) => {
+  try {
+    const [templates] = await db.execute(`
+      SELECT s.id, s.title, s.created_at, COUNT(q.id) as question_count
+      FROM surveys s
+      LEFT JOIN survey_questions q ON q.survey_id = s.id
+      WHERE s.college_id = ? AND s.is_template = true
+      GROUP BY s.id
+      ORDER BY s.title
+    `, [req.user.college_id]);
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Get survey templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch survey templates' });
+  }
+});
+
+// Create a survey template (Admin only)
+router.post('/templates', requireAdmin, [
+  body('title').trim().notEmpty().isLength({ max: 255 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { errors: questionErrors, questions } = validateQuestions(req.body.questions);
+  if (questionErrors.length > 0) return res.status(400).json({ errors: questionErrors });
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      'INSERT INTO surveys (college_id, title, is_template, created_by) VALUES (?, ?, true, ?)',
+      [req.user.college_id, req.body.title, req.user.id]
+    );
+    await saveQuestions(connection, result.insertId, questions);
+
+    await connection.commit();
+
+    res.status(201).json({ message: 'Survey template created', template_id: result.insertId });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Create survey template error:', error);
+    res.status(500).json({ error: 'Failed to create survey template' });
+  } finally {
+    connection.release();
+  }
+});
+
+// Get a survey template (Admin only)
+router.get('/templates/:id', requireAdmin, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const template = await findTemplate(req.params.id, req.user.college_id);
+    if (!template) return res.status(404).json({ error: 'Survey template not found' });
+
+    template.questions = await loadQuestions(template.id);
+
+    res.json({ template });
+  } catch (error) {
+    console.error('Get survey template error:', error);
+    res.status(500).json({ error: 'Failed to fetch survey template' });
+  }
+});
+
+// Update a survey template. Events that already use it keep their own copy. (Admin only)
+router.put('/templates/:id', requireAdmin, [
+  param('id').isInt(),
+  body('title').optional().trim().notEmpty().isLength({ max: 255 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  let questions;
+  if (req.body.questions !== undefined) {
+    const validated = validateQuestions(req.body.questions);
+    if (validated.errors.length > 0) return res.status(400).json({ errors: validated.errors });
+    questions = validated.questions;
+  }
+
+  if (req.body.title === undefined && questions === undefined) {
+    return res.status(400).json({ error: 'No valid fields to update' });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    const template = await findTemplate(req.params.id, req.user.college_id);
+    if (!template) return res.status(404).json({ error: 'Survey template not found' });
+
+    await connection.beginTransaction();
+
+    if (req.body.title !== undefined) {
+      await connection.execute('UPDATE surveys SET title = ? WHERE id = ?', [req.body.title, template.id]);
+    }
+    if (questions) {
+      await saveQuestions(connection, template.id, questions);
+    }
+
+    await connection.commit();
+
+    res.json({ message: 'Survey template updated' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Update survey template error:', error);
+    res.status(500).json({ error: 'Failed to update survey template' });
+  } finally {
+    connection.release();
+  }
+});
+
+// Delete a survey template (Admin only)
+router.delete('/templates/:id', requireAdmin, [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [result] = await db.execute(
+      'DELETE FROM surveys WHERE id = ? AND college_id = ? AND is_template = true',
+      [req.params.id, req.user.college_id]
+    );
+
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Survey template not found' });
+
+    res.json({ message: 'Survey template deleted' });
+  } catch (error) {
+    console.error('Delete survey template error:', error);
+    res.status(500).json({ error: 'Failed to delete survey template' });
+  }
+});
+
+// Get the feedback form for an event: the built-in category ratings plus its survey, if any
+router.get('/event/:eventId', [
+  param('eventId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [events] = await db.execute('SELECT id FROM events WHERE id = ? AND college_id = ?', [req.params.eventId, req.user.college_id]);
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+
+    res.json({
+      category_ratings: Object.entries(CATEGORY_RATINGS).map(([field, label]) => ({ field, label })),
+      survey: await getEventSurvey(req.params.eventId)
+    });
+  } catch (error) {
+    console.error('Get event survey error:', error);
+    res.status(500).json({ error: 'Failed to fetch event survey' });
+  }
+});
+
+// Set an event's survey from a template ({ template_id }) or from questions ({ title, questions }) (Admin only)
+router.put('/event/:eventId', requireAdmin, [
+  param('eventId').isInt(),
+  body('template_id').optional().isInt(),
+  body('title').optional().trim().notEmpty().isLength({ max: 255 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const connection = await db.getConnection();
+
+  try {
+    const [events] = await db.execute('SELECT id, title FROM events WHERE id = ? AND college_id = ?', [req.params.eventId, req.user.college_id]);
+    if (events.length === 0) return res.status(404).json({ error: 'Event not found' });
+
+    let title = req.body.title;
+    let questions;
+
+    if (req.body.template_id !== undefined) {
+      const template = await findTemplate(req.body.template_id, req.user.college_id);
+      if (!template) return res.status(404).json({ error: 'Survey template not found' });
+
+      title = title || template.title;
+      questions = (await loadQuestions(template.id)).map(({ type, prompt, options, required }) => ({ type, prompt, options, required }));
+    } else {
+      const validated = validateQuestions(req.body.questions);
+      if (validated.errors.length > 0) return res.status(400).json({ errors: validated.errors });
+      questions = validated.questions;
+    }
+
+    await connection.beginTransaction();
+
+    const [surveys] = await connection.execute('SELECT id, title FROM surveys WHERE event_id = ? FOR UPDATE', [req.params.eventId]);
+    const existing = surveys[0];
+    if (existing && await hasAnswers(existing.id, connection)) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'The survey cannot change after students have answered it' });
+    }
+
+    let surveyId;
+    if (existing) {
+      surveyId = existing.id;
+      await connection.execute('UPDATE surveys SET title = ? WHERE id = ?', [title || existing.title, surveyId]);
+    } else {
+      const [result] = await connection.execute(
+        'INSERT INTO surveys (college_id, event_id, title, created_by) VALUES (?, ?, ?, ?)',
+        [req.user.college_id, req.params.eventId, title || `${events[0].title} feedback`, req.user.id]
+      );
+      surveyId = result.insertId;
+    }
+    await saveQuestions(connection, surveyId, questions);
+
+    await connection.commit();
+
+    res.json({ message: 'Event survey saved', survey_id: surveyId });
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'The event survey was changed at the same time, please retry' });
+    }
+    console.error('Save event survey error:', error);
+    res.status(500).json({ error: 'Failed to save event survey' });
+  } finally {
+    connection.release();
+  }
+});
+
+// Remove an event's survey (Admin only)
+router.delete('/event/:eventId', requireAdmin, [
+  param('eventId').isInt()
+], async (req, res) => {
+  let connection;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [surveys] = await connection.execute(
+      'SELECT id FROM surveys WHERE event_id = ? AND college_id = ? FOR UPDATE',
+      [req.params.eventId, req.user.college_id]
+    );
+    if (surveys.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'This event has no survey' });
+    }
+
+    if (await hasAnswers(surveys[0].id, connection)) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'The survey cannot change after students have answered it' });
+    }
+
+    await connection.execute('DELETE FROM surveys WHERE id = ?', [surveys[0].id]);
+
+    await connection.commit();
+
+    res.json({ message: 'Event survey removed' });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Delete event survey error:', error);
+    res.status(500).json({ error: 'Failed to remove event survey' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
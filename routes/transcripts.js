@@ -0,0 +1,134 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole, requireSameCollege } = require('../middleware/auth');
+const { userTypeForRole } = require('../utils/authTokens');
+const { isSignatureValid, createTranscript, sendTranscriptPdf } = require('../utils/transcript');
+
+const router = express.Router();
+
+const CODE_PATTERN = /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/;
+
+// Issue a transcript and return its PDF, with the verification code in a header
+const issueAndSend = async (req, res, studentId) => {
+  const transcript = await createTranscript(studentId, req.user.college_id, {
+    type: userTypeForRole(req.user.role),
+    id: req.user.id
+  });
+
+  if (!transcript) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+
+  res.set('X-Verification-Code', transcript.verification_code);
+  sendTranscriptPdf(res, transcript);
+};
+
+// Generate own transcript (Student only)
+router.post('/me', authenticateToken, requireSameCollege, async (req, res) => {
+  if (req.user.role !== 'student') return res.status(403).json({ error: 'Only students can generate their own transcript' });
+
+  try {
+    await issueAndSend(req, res, req.user.id);
+  } catch (error) {
+    console.error('Generate transcript error:', error);
+    res.status(500).json({ error: 'Failed to generate transcript' });
+  }
+});
+
+// Generate a transcript for a student of the college (Admin only)
+router.post('/students/:studentId', authenticateToken, requireRole(['admin']), requireSameCollege, [
+  param('studentId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    await issueAndSend(req, res, req.params.studentId);
+  } catch (error) {
+    console.error('Generate transcript error:', error);
+    res.status(500).json({ error: 'Failed to generate transcript' });
+  }
+});
+
+// List transcripts already issued to a student (the student, or an admin of the college)
+router.get('/', authenticateToken, requireSameCollege, [
+  query('student_id').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const studentId = req.user.role === 'student' ? req.user.id : parseInt(req.query.student_id);
+    if (!studentId) return res.status(400).json({ error: 'student_id is required' });
+
+    const [transcripts] = await db.execute(
+      'SELECT verification_code, generated_by_type, created_at FROM transcripts WHERE student_id = ? AND college_id = ? ORDER BY created_at DESC',
+      [studentId, req.user.college_id]
+    );
+
+    res.json({ transcripts });
+  } catch (error) {
+    console.error('Get transcripts error:', error);
+    res.status(500).json({ error: 'Failed to fetch transcripts' });
+  }
+});
+
+// Verify a transcript (Public, e.g. for placement officers)
+router.get('/verify/:code', [
+  param('code').trim().toUpperCase().matches(CODE_PATTERN)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [transcripts] = await db.execute(
+      'SELECT verification_code, content, signature, created_at FROM transcripts WHERE verification_code = ?',
+      [req.params.code]
+    );
+
+    if (transcripts.length === 0) return res.status(404).json({ valid: false, error: 'Transcript not found' });
+
+    const transcript = transcripts[0];
+    if (!isSignatureValid(transcript)) {
+      return res.status(409).json({ valid: false, error: 'Transcript signature does not match its contents' });
+    }
+
+    res.json({
+      valid: true,
+      verification_code: transcript.verification_code,
+      issued_at: transcript.created_at,
+      transcript: JSON.parse(transcript.content)
+    });
+  } catch (error) {
+    console.error('Verify transcript error:', error);
+    res.status(500).json({ error: 'Failed to verify transcript' });
+  }
+});
+
+// Download a previously issued transcript again (the student, or an admin of the college)
+router.get('/:code/download', authenticateToken, requireSameCollege, [
+  param('code').trim().toUpperCase().matches(CODE_PATTERN)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const [transcripts] = await db.execute(
+      'SELECT student_id, college_id, verification_code, content, signature FROM transcripts WHERE verification_code = ?',
+      [req.params.code]
+    );
+    const transcript = transcripts[0];
+
+    const canAccess = transcript && transcript.college_id === req.user.college_id &&
+      (req.user.role !== 'student' || transcript.student_id === req.user.id);
+    if (!canAccess) return res.status(404).json({ error: 'Transcript not found' });
+
+    sendTranscriptPdf(res, { ...transcript, data: JSON.parse(transcript.content) });
+  } catch (error) {
+    console.error('Download transcript error:', error);
+    res.status(500).json({ error: 'Failed to download transcript' });
+  }
+});
+
+module.exports = router;
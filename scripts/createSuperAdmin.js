@@ -0,0 +1,90 @@
+const bcrypt = require('bcrypt');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Bootstrap the first super admin (admins otherwise join by invitation only).
+// Usage:
+//   node scripts/createSuperAdmin.js --email admin@example.edu --password secret123 \
+//     --first-name Ada --last-name Lovelace --college "Example University"
+// The college is looked up by name and created if it does not exist yet.
+
+const SALT_ROUNDS = 10;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--')) {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function createSuperAdmin() {
+  let connection;
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const required = ['email', 'password', 'first-name', 'last-name', 'college'];
+    const missing = required.filter(name => !args[name]);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required option(s): ${missing.map(name => `--${name}`).join(', ')}`);
+    }
+
+    if (args.password.length < 6) {
+      throw new Error('Password must be at least 6 characters');
+    }
+
+    connection = await mysql.createConnection({
+      host: process.env.DB_HOST || 'localhost',
+      user: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD,
+      database: process.env.DB_NAME || 'unievent'
+    });
+
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute(
+      'SELECT id FROM admins WHERE email = ? UNION SELECT id FROM students WHERE email = ?',
+      [args.email, args.email]
+    );
+    if (existing.length > 0) {
+      throw new Error(`An account with email ${args.email} already exists`);
+    }
+
+    let [colleges] = await connection.execute('SELECT id FROM colleges WHERE name = ?', [args.college]);
+    let collegeId;
+
+    if (colleges.length > 0) {
+      collegeId = colleges[0].id;
+    } else {
+      const [result] = await connection.execute('INSERT INTO colleges (name) VALUES (?)', [args.college]);
+      collegeId = result.insertId;
+      console.log(`Created college "${args.college}" (id ${collegeId})`);
+    }
+
+    const password_hash = await bcrypt.hash(args.password, SALT_ROUNDS);
+    const [result] = await connection.execute(
+      'INSERT INTO admins (email, password_hash, first_name, last_name, college_id, role) VALUES (?, ?, ?, ?, ?, ?)',
+      [args.email, password_hash, args['first-name'], args['last-name'], collegeId, 'super_admin']
+    );
+
+    await connection.commit();
+
+    console.log(`Super admin ${args.email} created (id ${result.insertId})`);
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Create super admin error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+createSuperAdmin();
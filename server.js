@@ -14,6 +14,14 @@ const feedbackRoutes = require('./routes/feedback');
 const registrationsRoutes = require('./routes/registration');
 const attendanceRoutes = require('./routes/attendance');
 const reportsRoutes = require('./routes/report');
+const certificatesRoutes = require('./routes/certificates');
+const collegesRoutes = require('./routes/colleges');
+const calendarRoutes = require('./routes/calendar');
+const notificationsRoutes = require('./routes/notifications');
+const studentsRoutes = require('./routes/students');
+const transcriptsRoutes = require('./routes/transcripts');
+const surveysRoutes = require('./routes/surveys');
+const { startScheduler } = require('./jobs/scheduler');
 
 const app = express();
 
@@ -26,9 +34,8 @@ app.use(express.json({ limit: process.env.MAX_FILE_SIZE || '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
-// Serve uploads and certificates statically
+// Serve uploads statically (certificates are only downloadable through /api/certificates)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-app.use('/certificates', express.static(path.join(__dirname, 'certificates')));
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -39,6 +46,13 @@ app.use('/api/feedback', feedbackRoutes);
 app.use('/api/registrations', registrationsRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/certificates', certificatesRoutes);
+app.use('/api/colleges', collegesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/students', studentsRoutes);
+app.use('/api/transcripts', transcriptsRoutes);
+app.use('/api/surveys', surveysRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -60,4 +74,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+
+  // Reminders, auto-completion and follow-up jobs (safe to run on every instance)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  }
 });
\ No newline at end of file
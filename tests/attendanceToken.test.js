@@ -0,0 +1,59 @@
+// Unit tests for the rotating QR attendance tokens in utils/attendanceToken.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROTATION_SECONDS, issueToken, decodeToken, verifyToken } = require('../utils/attendanceToken');
+
+const EVENT = { id: 7, college_id: 3, qr_secret: 'event-secret' };
+const WINDOW_MS = ROTATION_SECONDS * 1000;
+
+// Start of a rotation window, so offsets below stay inside known windows
+const NOW = Math.floor(Date.parse('2026-10-18T10:00:00Z') / WINDOW_MS) * WINDOW_MS;
+
+test('issueToken reports when the code rotates and when it stops working', () => {
+  const { expires_at, rotates_in } = issueToken(EVENT, NOW + 1000);
+  assert.equal(rotates_in, ROTATION_SECONDS - 1);
+  assert.equal(expires_at.getTime(), NOW + 2 * WINDOW_MS);
+});
+
+test('a token is valid in its window and the next one, then expires', () => {
+  const { token } = issueToken(EVENT, NOW);
+
+  assert.equal(verifyToken(token, EVENT, NOW), 'valid');
+  assert.equal(verifyToken(token, EVENT, NOW + WINDOW_MS + 500), 'valid');
+  assert.equal(verifyToken(token, EVENT, NOW + 2 * WINDOW_MS), 'expired');
+});
+
+test('a token from a future window is rejected', () => {
+  const { token } = issueToken(EVENT, NOW + WINDOW_MS);
+  assert.equal(verifyToken(token, EVENT, NOW), 'invalid');
+});
+
+test('a token only verifies for its own event, college and secret', () => {
+  const { token } = issueToken(EVENT, NOW);
+
+  assert.equal(verifyToken(token, { ...EVENT, id: 8 }, NOW), 'invalid');
+  assert.equal(verifyToken(token, { ...EVENT, college_id: 4 }, NOW), 'invalid');
+  assert.equal(verifyToken(token, { ...EVENT, qr_secret: 'other-secret' }, NOW), 'invalid');
+  assert.equal(verifyToken(token, { ...EVENT, qr_secret: null }, NOW), 'invalid');
+});
+
+test('a token with an altered payload or signature is rejected', () => {
+  const { token } = issueToken(EVENT, NOW);
+  const [payload, signature] = token.split('.');
+
+  const data = decodeToken(token);
+  const moved = Buffer.from(JSON.stringify({ ...data, w: data.w + 1 })).toString('base64url');
+  assert.equal(verifyToken(`${moved}.${signature}`, EVENT, NOW + WINDOW_MS), 'invalid');
+
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+  assert.equal(verifyToken(`${payload}.${flipped}`, EVENT, NOW), 'invalid');
+  assert.equal(verifyToken(`${payload}.${signature}x`, EVENT, NOW), 'invalid');
+});
+
+test('decodeToken rejects malformed input', () => {
+  assert.equal(decodeToken(undefined), null);
+  assert.equal(decodeToken('no-signature'), null);
+  assert.equal(decodeToken('not-json.sig'), null);
+  assert.equal(decodeToken(`${Buffer.from('{"e":"7","w":1}').toString('base64url')}.sig`), null);
+  assert.equal(verifyToken('garbage', EVENT, NOW), 'invalid');
+});
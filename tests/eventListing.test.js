@@ -0,0 +1,37 @@
+// Unit tests for the events listing cursors in utils/eventListing.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_SORTS, encodeCursor, decodeCursor } = require('../utils/eventListing');
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+test('a date cursor round-trips the last row', () => {
+  const cursor = encodeCursor('date', 'ASC', { id: 12, sort_key: new Date('2026-10-18T10:00:00Z') });
+  const data = decodeCursor(cursor);
+
+  assert.equal(data.s, 'date');
+  assert.equal(data.o, 'ASC');
+  assert.equal(data.id, 12);
+  assert.ok(data.k instanceof Date);
+  assert.equal(data.k.toISOString(), '2026-10-18T10:00:00.000Z');
+});
+
+test('numeric and unrated sort keys round-trip unchanged', () => {
+  assert.deepEqual(decodeCursor(encodeCursor('popularity', 'DESC', { id: 3, sort_key: 40 })), { s: 'popularity', o: 'DESC', k: 40, id: 3 });
+  assert.deepEqual(decodeCursor(encodeCursor('rating', 'DESC', { id: 4, sort_key: '4.50' })), { s: 'rating', o: 'DESC', k: '4.50', id: 4 });
+});
+
+test('decodeCursor rejects tampered or malformed cursors', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(encode(null)), null);
+  assert.equal(decodeCursor(encode({ s: 'title', o: 'ASC', k: 'a', id: 1 })), null);
+  assert.equal(decodeCursor(encode({ s: 'date', o: 'sideways', k: '2026-10-18', id: 1 })), null);
+  assert.equal(decodeCursor(encode({ s: 'date', o: 'ASC', k: '2026-10-18', id: '1' })), null);
+  assert.equal(decodeCursor(encode({ s: 'date', o: 'ASC', k: 'yesterday', id: 1 })), null);
+});
+
+test('every sort but relevance has a key to page on', () => {
+  assert.equal(EVENT_SORTS.relevance.key, null);
+  assert.equal(EVENT_SORTS.rating.key('DESC'), 'COALESCE(e.avg_rating, 0)');
+  assert.equal(EVENT_SORTS.rating.key('ASC'), 'COALESCE(e.avg_rating, 6)');
+});
@@ -0,0 +1,88 @@
+// Unit tests for event schedules, check-in/out windows and attendance rules in utils/eventTime.js
+process.env.TZ = 'UTC';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const {
+  CHECKOUT_CLOSES_AFTER_MINUTES,
+  getEventSchedule,
+  isWithinCheckinWindow,
+  isWithinCheckoutWindow,
+  summarizeAttendance
+} = require('../utils/eventTime');
+
+// 10:00-12:00, 15 minutes of grace, no minimum
+const EVENT = {
+  event_date: new Date('2026-10-18T00:00:00Z'),
+  start_time: '10:00:00',
+  end_time: '12:00:00',
+  late_grace_minutes: 15,
+  min_attendance_percent: 0
+};
+
+const at = (time) => new Date(`2026-10-18T${time}:00Z`);
+
+test('getEventSchedule combines the date with start and end times', () => {
+  const { startsAt, endsAt } = getEventSchedule(EVENT);
+  assert.equal(startsAt.toISOString(), '2026-10-18T10:00:00.000Z');
+  assert.equal(endsAt.toISOString(), '2026-10-18T12:00:00.000Z');
+});
+
+test('getEventSchedule ends overnight events on the next day', () => {
+  const { endsAt } = getEventSchedule({ ...EVENT, start_time: '22:00:00', end_time: '01:30:00' });
+  assert.equal(endsAt.toISOString(), '2026-10-19T01:30:00.000Z');
+});
+
+test('check-in opens before the start and closes at the end', () => {
+  assert.equal(isWithinCheckinWindow(EVENT, moment(at('09:29'))), false);
+  assert.equal(isWithinCheckinWindow(EVENT, moment(at('09:30'))), true);
+  assert.equal(isWithinCheckinWindow(EVENT, moment(at('12:00'))), true);
+  assert.equal(isWithinCheckinWindow(EVENT, moment(at('12:01'))), false);
+});
+
+test('check-out stays open for a while after the end', () => {
+  const closesAt = moment(at('12:00')).add(CHECKOUT_CLOSES_AFTER_MINUTES, 'minutes');
+  assert.equal(isWithinCheckoutWindow(EVENT, closesAt), true);
+  assert.equal(isWithinCheckoutWindow(EVENT, closesAt.clone().add(1, 'minute')), false);
+});
+
+test('arrivals within the grace period count from the start', () => {
+  assert.deepEqual(summarizeAttendance(EVENT, { checked_in_at: at('10:15'), checked_out_at: at('12:00') }), {
+    is_late: false,
+    checked_out: true,
+    attended_minutes: 120,
+    attendance_percent: 100,
+    meets_minimum: true
+  });
+});
+
+test('late arrivals count from check-in and only time inside the schedule counts', () => {
+  assert.deepEqual(summarizeAttendance(EVENT, { checked_in_at: at('10:30'), checked_out_at: at('12:20') }), {
+    is_late: true,
+    checked_out: true,
+    attended_minutes: 90,
+    attendance_percent: 75,
+    meets_minimum: true
+  });
+});
+
+test('the minimum percentage decides eligibility', () => {
+  const strict = { ...EVENT, min_attendance_percent: 80 };
+  assert.equal(summarizeAttendance(strict, { checked_in_at: at('10:00'), checked_out_at: at('11:30') }).meets_minimum, false);
+  assert.equal(summarizeAttendance(strict, { checked_in_at: at('10:00'), checked_out_at: at('11:36') }).meets_minimum, true);
+});
+
+test('a missing check-out fails a minimum but counts as staying to the end without one', () => {
+  assert.deepEqual(summarizeAttendance({ ...EVENT, min_attendance_percent: 50 }, { checked_in_at: at('10:00'), checked_out_at: null }), {
+    is_late: false,
+    checked_out: false,
+    attended_minutes: null,
+    attendance_percent: null,
+    meets_minimum: false
+  });
+
+  const summary = summarizeAttendance(EVENT, { checked_in_at: at('10:00'), checked_out_at: null });
+  assert.equal(summary.attended_minutes, 120);
+  assert.equal(summary.meets_minimum, true);
+});
@@ -0,0 +1,64 @@
+// Unit tests for the iCalendar writer in utils/ical.js
+process.env.TZ = 'UTC';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEvent, buildCalendar } = require('../utils/ical');
+
+const EVENT = {
+  id: 42,
+  title: 'Robotics, AI; and you',
+  description: 'Line one\nC:\\temp\\slides',
+  venue: 'Hall A',
+  category: 'Tech',
+  status: 'active',
+  event_date: new Date('2026-10-18T00:00:00Z'),
+  start_time: '22:30:00',
+  end_time: '01:00:00',
+  updated_at: new Date('2026-10-01T12:00:00Z')
+};
+
+// Undo RFC 5545 line folding
+const unfold = (body) => body.replace(/\r\n /g, '');
+
+test('buildEvent escapes text values and keeps a stable UID', () => {
+  const lines = buildEvent(EVENT);
+
+  assert.equal(lines[0], 'BEGIN:VEVENT');
+  assert.ok(lines.includes('UID:event-42@unievent'));
+  assert.ok(lines.includes('SUMMARY:Robotics\\, AI\\; and you'));
+  assert.ok(lines.includes('DESCRIPTION:Line one\\nC:\\\\temp\\\\slides'));
+  assert.ok(lines.includes('LOCATION:Hall A'));
+  assert.ok(lines.includes('CATEGORIES:Tech'));
+  assert.ok(lines.includes(`SEQUENCE:${Date.parse('2026-10-01T12:00:00Z') / 1000}`));
+});
+
+test('buildEvent ends overnight events on the next day', () => {
+  const lines = buildEvent(EVENT);
+  assert.ok(lines.includes('DTSTART:20261018T223000Z'));
+  assert.ok(lines.includes('DTEND:20261019T010000Z'));
+});
+
+test('buildEvent maps the event status and lets callers override it', () => {
+  assert.ok(buildEvent(EVENT).includes('STATUS:CONFIRMED'));
+  assert.ok(buildEvent({ ...EVENT, status: 'cancelled' }).includes('STATUS:CANCELLED'));
+  assert.ok(buildEvent(EVENT, { status: 'CANCELLED', summaryPrefix: '[Waitlist] ' }).includes('STATUS:CANCELLED'));
+  assert.ok(buildEvent(EVENT, { summaryPrefix: '[Waitlist] ' }).includes('SUMMARY:[Waitlist] Robotics\\, AI\\; and you'));
+});
+
+test('buildEvent leaves out empty optional fields', () => {
+  const lines = buildEvent({ ...EVENT, description: null, venue: null, category: null });
+  assert.ok(!lines.some(line => /^(DESCRIPTION|LOCATION|CATEGORIES):/.test(line)));
+});
+
+test('buildCalendar folds lines at 75 octets without splitting characters', () => {
+  const title = 'Ünïcödé '.repeat(20).trim();
+  const body = buildCalendar('Feed', [buildEvent({ ...EVENT, title })]);
+
+  assert.ok(body.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(body.endsWith('END:VCALENDAR\r\n'));
+  for (const line of body.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line of ${Buffer.byteLength(line)} octets`);
+  }
+  assert.ok(unfold(body).includes(`SUMMARY:${title}\r\n`));
+});
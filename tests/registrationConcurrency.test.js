@@ -0,0 +1,162 @@
+// Concurrency test for POST/DELETE /api/registrations against a real MySQL server.
+//
+//   npm test
+//
+// Uses DB_HOST/DB_USER/DB_PASSWORD from the environment (or .env) and a scratch
+// database named by TEST_DB_NAME (default unievent_test), which is dropped and
+// rebuilt with the migrations on every run. Skipped when MySQL is unreachable.
+require('dotenv').config();
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const mysql = require('mysql2/promise');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+
+const TEST_DB_NAME = process.env.TEST_DB_NAME || 'unievent_test';
+const CAPACITY = 5;
+const STUDENTS = 40;
+
+// The app's pool reads these when config/database.js is first required
+process.env.DB_NAME = TEST_DB_NAME;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'registration-concurrency-test';
+
+let admin;
+let db;
+let server;
+let baseUrl;
+let skipReason = null;
+
+const serverConfig = () => ({
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD
+});
+
+const tokenFor = (student) => jwt.sign({ id: student.id, college_id: student.college_id, role: 'student' }, process.env.JWT_SECRET);
+
+const register = (student, eventId) => fetch(`${baseUrl}/api/registrations`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(student)}` },
+  body: JSON.stringify({ event_id: eventId })
+});
+
+const cancel = (student, eventId) => fetch(`${baseUrl}/api/registrations/${eventId}`, {
+  method: 'DELETE',
+  headers: { Authorization: `Bearer ${tokenFor(student)}` }
+});
+
+const createStudents = async (collegeId, prefix, count) => {
+  const students = [];
+  for (let i = 1; i <= count; i++) {
+    const [result] = await admin.execute(
+      `INSERT INTO students (college_id, student_id, email, email_verified_at, password_hash, first_name, last_name)
+       VALUES (?, ?, ?, NOW(), 'x', 'Test', ?)`,
+      [collegeId, `${prefix}${i}`, `${prefix}${i}@example.test`, `${prefix}${i}`]
+    );
+    students.push({ id: result.insertId, college_id: collegeId });
+  }
+  return students;
+};
+
+const createEvent = async (collegeId, adminId) => {
+  const [result] = await admin.execute(
+    `INSERT INTO events (college_id, title, event_date, start_time, end_time, venue, max_participants, status, created_by)
+     VALUES (?, 'Concurrency test', DATE_ADD(CURDATE(), INTERVAL 7 DAY), '10:00', '12:00', 'Hall', ?, 'active', ?)`,
+    [collegeId, CAPACITY, adminId]
+  );
+  return result.insertId;
+};
+
+// Seats never exceed capacity, a waitlist only exists when the event is full,
+// positions run 1..n without gaps and the stored counters match the rows
+const assertConsistent = async (eventId) => {
+  const [rows] = await admin.execute(
+    'SELECT status, waitlist_position FROM registrations WHERE event_id = ? AND status != "cancelled"',
+    [eventId]
+  );
+  const registered = rows.filter(row => row.status === 'registered');
+  const positions = rows.filter(row => row.status === 'waitlisted').map(row => row.waitlist_position).sort((a, b) => a - b);
+
+  assert.ok(registered.length <= CAPACITY, `${registered.length} registered for ${CAPACITY} seats`);
+  if (positions.length > 0) {
+    assert.equal(registered.length, CAPACITY, 'students are waitlisted while seats are free');
+  }
+  assert.deepEqual(positions, positions.map((_, i) => i + 1), 'waitlist positions are not contiguous');
+
+  const [events] = await admin.execute('SELECT registered_count, waitlist_count FROM events WHERE id = ?', [eventId]);
+  assert.equal(events[0].registered_count, registered.length);
+  assert.equal(events[0].waitlist_count, positions.length);
+
+  return { registered: registered.length, waitlisted: positions.length };
+};
+
+before(async () => {
+  if (!TEST_DB_NAME.endsWith('_test')) {
+    throw new Error(`TEST_DB_NAME must end in _test, got "${TEST_DB_NAME}" (the database is dropped on every run)`);
+  }
+
+  try {
+    admin = await mysql.createConnection(serverConfig());
+  } catch (error) {
+    skipReason = `MySQL not reachable (${error.code || error.message})`;
+    return;
+  }
+
+  await admin.query(`DROP DATABASE IF EXISTS \`${TEST_DB_NAME}\``);
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'migrations', 'runMigrations.js'), 'up'], {
+    env: { ...process.env, DB_NAME: TEST_DB_NAME },
+    stdio: 'ignore'
+  });
+  await admin.changeUser({ database: TEST_DB_NAME });
+
+  db = require('../config/database');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/registrations', require('../routes/registration'));
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (db) await db.end();
+  if (admin) {
+    await admin.query(`DROP DATABASE IF EXISTS \`${TEST_DB_NAME}\``);
+    await admin.end();
+  }
+});
+
+test('parallel registrations never exceed capacity and number the waitlist 1..n', async (t) => {
+  if (skipReason) return t.skip(skipReason);
+
+  const [college] = await admin.execute('INSERT INTO colleges (name) VALUES ("Concurrency College")');
+  const [adminRow] = await admin.execute(
+    'INSERT INTO admins (college_id, email, password_hash, first_name, last_name) VALUES (?, "admin@example.test", "x", "Test", "Admin")',
+    [college.insertId]
+  );
+  const eventId = await createEvent(college.insertId, adminRow.insertId);
+  const students = await createStudents(college.insertId, 'reg', STUDENTS);
+
+  const responses = await Promise.all(students.map(student => register(student, eventId)));
+  assert.deepEqual(responses.map(response => response.status), students.map(() => 200));
+
+  const counts = await assertConsistent(eventId);
+  assert.deepEqual(counts, { registered: CAPACITY, waitlisted: STUDENTS - CAPACITY });
+
+  // Cancellations promoting from the waitlist, racing with new registrations
+  const leaving = students.filter((_, i) => i % 3 === 0);
+  const joining = await createStudents(college.insertId, 'late', 10);
+
+  const mixed = await Promise.all([
+    ...leaving.map(student => cancel(student, eventId)),
+    ...joining.map(student => register(student, eventId))
+  ]);
+  assert.deepEqual(mixed.map(response => response.status), mixed.map(() => 200));
+
+  const afterChurn = await assertConsistent(eventId);
+  assert.deepEqual(afterChurn, { registered: CAPACITY, waitlisted: STUDENTS + joining.length - leaving.length - CAPACITY });
+});
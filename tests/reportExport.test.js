@@ -0,0 +1,81 @@
+// Unit tests for the report output formats in utils/reportExport.js. The
+// database is replaced by in-memory rows, so no MySQL server is needed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const express = require('express');
+const db = require('../config/database');
+const { sendReport } = require('../utils/reportExport');
+
+const ROWS = [
+  { title: 'Robotics, "live"', event_date: new Date(2026, 9, 18, 10, 0), registered: 12, venue: null },
+  { title: 'Chess club', event_date: new Date(2026, 9, 19, 18, 30), registered: 0, venue: 'Hall B' }
+];
+
+const COLUMNS = [
+  { label: 'Event', value: 'title', width: 2 },
+  { label: 'Registered', value: 'registered' },
+  { label: 'Venue', value: row => row.venue || 'TBA' }
+];
+
+let server;
+let baseUrl;
+const original = {};
+
+before(async () => {
+  original.execute = db.execute;
+  original.poolQuery = db.pool.query;
+  db.execute = async () => [ROWS];
+  db.pool.query = () => ({ stream: () => Readable.from(ROWS) });
+
+  const app = express();
+  app.get('/report', (req, res) => sendReport(req, res, {
+    sql: 'SELECT 1',
+    params: [],
+    columns: COLUMNS,
+    filename: 'events-report',
+    title: 'Events',
+    jsonKey: 'events'
+  }));
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  db.execute = original.execute;
+  db.pool.query = original.poolQuery;
+  await new Promise(resolve => server.close(resolve));
+  await db.end().catch(() => {});
+});
+
+test('json keeps the rows under the given key', async () => {
+  const response = await fetch(`${baseUrl}/report`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.events.map(row => row.title), ['Robotics, "live"', 'Chess club']);
+});
+
+test('csv streams a header row and quotes values that need it', async () => {
+  const response = await fetch(`${baseUrl}/report?format=csv`);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /filename="events-report\.csv"/);
+  assert.deepEqual((await response.text()).split('\n'), [
+    '"Event","Registered","Venue"',
+    '"Robotics, ""live""",12,"TBA"',
+    '"Chess club",0,"Hall B"'
+  ]);
+});
+
+test('pdf streams a PDF document', async () => {
+  const response = await fetch(`${baseUrl}/report?format=pdf`);
+  const body = Buffer.from(await response.arrayBuffer());
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.match(response.headers.get('content-disposition'), /filename="events-report\.pdf"/);
+  assert.equal(body.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(body.subarray(-6).toString().includes('%%EOF'));
+});
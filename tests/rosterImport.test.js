@@ -0,0 +1,59 @@
+// Unit tests for roster CSV parsing and row validation in utils/rosterImport.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRoster, validateRosterRow } = require('../utils/rosterImport');
+
+const csv = (text) => Buffer.from(text);
+
+test('parseRoster normalizes headers and numbers rows by line', () => {
+  const { missingColumns, rows } = parseRoster(csv(
+    '﻿ Email ,Student_ID,First_Name,Last_Name,Year_Of_Study\n' +
+    'ada@example.edu,S1,Ada,Lovelace,2\n' +
+    '\n' +
+    ' grace@example.edu , S2 ,Grace,Hopper\n'
+  ));
+
+  assert.deepEqual(missingColumns, []);
+  assert.deepEqual(rows, [
+    { line: 2, data: { email: 'ada@example.edu', student_id: 'S1', first_name: 'Ada', last_name: 'Lovelace', year_of_study: '2' } },
+    { line: 4, data: { email: 'grace@example.edu', student_id: 'S2', first_name: 'Grace', last_name: 'Hopper' } }
+  ]);
+});
+
+test('parseRoster reports missing required columns', () => {
+  assert.deepEqual(parseRoster(csv('email,first_name\na@example.edu,A\n')).missingColumns, ['student_id', 'last_name']);
+  assert.deepEqual(parseRoster(csv('')).missingColumns, ['email', 'student_id', 'first_name', 'last_name']);
+});
+
+test('validateRosterRow normalizes a valid row', () => {
+  assert.deepEqual(validateRosterRow({
+    email: ' Ada@Example.EDU ',
+    student_id: 'S1',
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    department: '',
+    year_of_study: '3'
+  }), {
+    errors: [],
+    row: { email: 'ada@example.edu', student_id: 'S1', first_name: 'Ada', last_name: 'Lovelace', department: null, year_of_study: 3 }
+  });
+});
+
+test('validateRosterRow lists every problem with a row', () => {
+  const { errors } = validateRosterRow({
+    email: 'not-an-email',
+    student_id: 'S'.repeat(51),
+    first_name: '',
+    department: 'D'.repeat(101),
+    year_of_study: '11'
+  });
+
+  assert.deepEqual(errors, [
+    'email is not a valid email address',
+    'student_id must be at most 50 characters',
+    'first_name is required',
+    'last_name is required',
+    'department must be at most 100 characters',
+    'year_of_study must be a whole number between 1 and 10'
+  ]);
+});
@@ -0,0 +1,92 @@
+// Unit tests for survey question and answer validation in utils/surveys.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../config/database');
+const { validateQuestions, validateAnswers } = require('../utils/surveys');
+
+// utils/surveys loads the pool; close it so the test process can exit
+after(() => db.end().catch(() => {}));
+
+const QUESTIONS = [
+  { id: 1, type: 'rating', prompt: 'How was the pace?', options: null, required: true },
+  { id: 2, type: 'choice', prompt: 'Best part?', options: ['Talk', 'Demo'], required: false },
+  { id: 3, type: 'text', prompt: 'Anything else?', options: null, required: false }
+];
+
+test('validateQuestions normalizes prompts, options and required', () => {
+  assert.deepEqual(validateQuestions([
+    { type: 'rating', prompt: '  Pace?  ', required: true },
+    { type: 'choice', prompt: 'Best part?', options: [' Talk', 'Demo', 'Talk', '', 3] },
+    { type: 'text', prompt: 'Anything else?', required: 'yes' }
+  ]), {
+    errors: [],
+    questions: [
+      { type: 'rating', prompt: 'Pace?', options: null, required: true },
+      { type: 'choice', prompt: 'Best part?', options: ['Talk', 'Demo'], required: false },
+      { type: 'text', prompt: 'Anything else?', options: null, required: false }
+    ]
+  });
+});
+
+test('validateQuestions rejects bad surveys', () => {
+  assert.deepEqual(validateQuestions([]).errors, ['questions must be a non-empty array']);
+  assert.deepEqual(validateQuestions('nope').errors, ['questions must be a non-empty array']);
+  assert.deepEqual(validateQuestions(Array(31).fill({ type: 'text', prompt: 'Q' })).errors, ['A survey can have at most 30 questions']);
+  assert.deepEqual(validateQuestions([
+    { type: 'essay', prompt: 'Q' },
+    { type: 'text', prompt: ' ' },
+    { type: 'choice', prompt: 'Pick', options: ['Only one'] }
+  ]).errors, [
+    'questions[0].type must be one of rating, choice, text',
+    'questions[1].prompt is required and must be at most 500 characters',
+    'questions[2].options needs 2 to 20 distinct choices'
+  ]);
+});
+
+test('validateAnswers turns answers into feedback_answers rows', () => {
+  assert.deepEqual(validateAnswers(QUESTIONS, [
+    { question_id: 1, value: '4' },
+    { question_id: '2', value: 'Demo' },
+    { question_id: 3, value: '  More demos  ' }
+  ]), {
+    errors: [],
+    answers: [
+      { question_id: 1, rating_value: 4, choice_value: null, text_value: null },
+      { question_id: 2, rating_value: null, choice_value: 'Demo', text_value: null },
+      { question_id: 3, rating_value: null, choice_value: null, text_value: 'More demos' }
+    ]
+  });
+});
+
+test('validateAnswers skips blank optional answers but enforces required questions', () => {
+  assert.deepEqual(validateAnswers(QUESTIONS, [{ question_id: 1, value: 5 }, { question_id: 3, value: '' }]).answers, [
+    { question_id: 1, rating_value: 5, choice_value: null, text_value: null }
+  ]);
+  assert.deepEqual(validateAnswers(QUESTIONS, []).errors, ['"How was the pace?" is required']);
+  assert.deepEqual(validateAnswers(QUESTIONS, undefined).errors, ['"How was the pace?" is required']);
+});
+
+test('validateAnswers reports invalid values, unknown questions and repeats', () => {
+  assert.deepEqual(validateAnswers(QUESTIONS, [
+    { question_id: 1, value: 6 },
+    { question_id: 2, value: 'Lunch' },
+    { question_id: 3, value: 'x'.repeat(1001) },
+    { question_id: 99, value: 'hi' },
+    { question_id: 3, value: 'again' }
+  ]).errors, [
+    'answers[0].value must be a whole number from 1 to 5',
+    'answers[1].value must be one of: Talk, Demo',
+    'answers[2].value must be text of at most 1000 characters',
+    "answers[3].question_id is not a question of this event's survey",
+    '"How was the pace?" is required'
+  ]);
+  assert.deepEqual(validateAnswers(QUESTIONS, 'nope').errors, ['answers must be an array']);
+  assert.deepEqual(validateAnswers(QUESTIONS, [{ question_id: 1, value: 3 }, { question_id: 1, value: 4 }]).errors, [
+    'answers[1] answers question 1 a second time'
+  ]);
+});
+
+test('an event without a survey accepts no answers', () => {
+  assert.deepEqual(validateAnswers([], []), { errors: [], answers: [] });
+  assert.deepEqual(validateAnswers([], [{ question_id: 1, value: 3 }]).errors, ["answers[0].question_id is not a question of this event's survey"]);
+});
@@ -0,0 +1,44 @@
+// Unit tests for the offline feedback analysis in utils/textAnalysis.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, analyzeSentiment, extractTerms } = require('../utils/textAnalysis');
+
+test('tokenize lowercases, folds apostrophes and splits on punctuation', () => {
+  assert.deepEqual(tokenize("Didn't LOVE the Q&A, sorry!"), ['didnt', 'love', 'the', 'q', 'a', 'sorry']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('analyzeSentiment scores lexicon words and labels the result', () => {
+  assert.deepEqual(analyzeSentiment('Great talk'), { score: 2, comparative: 1, label: 'positive' });
+  assert.deepEqual(analyzeSentiment('Boring and too long'), { score: -3.3, comparative: -0.825, label: 'negative' });
+  assert.deepEqual(analyzeSentiment('The venue was on campus'), { score: 0, comparative: 0, label: 'neutral' });
+  assert.deepEqual(analyzeSentiment(''), { score: 0, comparative: 0, label: 'neutral' });
+});
+
+test('analyzeSentiment applies intensifiers and flips negated words', () => {
+  assert.equal(analyzeSentiment('very good').score, 3);
+  assert.equal(analyzeSentiment('not very good').score, -3);
+  assert.equal(analyzeSentiment("didn't like it").score, -1);
+  // A negation only reaches a few words ahead
+  assert.equal(analyzeSentiment('not sure what the venue was but good').score, 2);
+});
+
+test('extractTerms counts keywords per comment and keeps repeated phrases only', () => {
+  const { keywords, phrases } = extractTerms([
+    'Great speaker, great slides',
+    'The speaker answered questions',
+    'Slides were hard to read, great speaker though'
+  ]);
+
+  assert.deepEqual(keywords.slice(0, 3), [
+    { term: 'great', count: 3, comments: 2 },
+    { term: 'speaker', count: 3, comments: 3 },
+    { term: 'slides', count: 2, comments: 2 }
+  ]);
+  assert.deepEqual(phrases, [{ term: 'great speaker', count: 2, comments: 2 }]);
+});
+
+test('extractTerms honours the limit and skips stopwords and numbers', () => {
+  const { keywords } = extractTerms(['the 2024 workshop was about robotics and drones'], { limit: 2 });
+  assert.deepEqual(keywords.map(k => k.term), ['drones', 'robotics']);
+});
@@ -0,0 +1,83 @@
+// Unit tests for transcript contents and signatures in utils/transcript.js. The
+// database is replaced by in-memory rows, so no MySQL server is needed.
+process.env.TZ = 'UTC';
+process.env.TRANSCRIPT_SIGNING_SECRET = process.env.TRANSCRIPT_SIGNING_SECRET || 'transcript-test-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../config/database');
+const { createTranscript, isSignatureValid } = require('../utils/transcript');
+
+const STUDENT = { first_name: 'Ada', last_name: 'Lovelace', student_id: 'S1', department: 'CS', year_of_study: 2, college_name: 'Test College' };
+
+// 10:00-12:00 events; a late arrival, an early leaver and one without a required check-out
+const event = (id, category, attendance, rules = {}) => ({
+  id,
+  title: `Event ${id}`,
+  event_date: new Date('2026-10-18T00:00:00Z'),
+  start_time: '10:00:00',
+  end_time: '12:00:00',
+  category,
+  late_grace_minutes: 15,
+  min_attendance_percent: 0,
+  certificate_id: null,
+  ...rules,
+  ...attendance
+});
+
+const at = (time) => new Date(`2026-10-18T${time}:00Z`);
+
+const ATTENDED = [
+  event(1, 'Tech', { checked_in_at: at('10:05'), checked_out_at: at('12:00') }),
+  event(2, 'Tech', { checked_in_at: at('10:30'), checked_out_at: at('11:30') }),
+  event(3, null, { checked_in_at: at('10:00'), checked_out_at: null }, { min_attendance_percent: 50 }),
+  event(4, null, { checked_in_at: at('10:00'), checked_out_at: null })
+];
+
+let original;
+const inserted = [];
+
+before(() => {
+  original = db.execute;
+  db.execute = async (sql, params) => {
+    if (sql.includes('FROM students')) return [[STUDENT]];
+    if (sql.includes('FROM attendance')) return [ATTENDED];
+    if (sql.startsWith('INSERT INTO transcripts')) {
+      inserted.push(params);
+      return [{ insertId: inserted.length }];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+});
+
+after(async () => {
+  db.execute = original;
+  await db.end().catch(() => {});
+});
+
+test('hours count only the time actually attended', async () => {
+  const { data } = await createTranscript(1, 1, { type: 'student', id: 1 });
+
+  assert.deepEqual(data.events.map(e => e.attended_hours), [2, 1, 0, 2]);
+  assert.equal(data.total_events, 4);
+  assert.equal(data.total_hours, 5);
+  assert.deepEqual(data.categories, [
+    { category: 'Tech', events: 2, hours: 3 },
+    { category: 'Uncategorized', events: 2, hours: 2 }
+  ]);
+});
+
+test('the stored snapshot is signed and tampering is detected', async () => {
+  const { verification_code, signature } = await createTranscript(1, 1, { type: 'admin', id: 9 });
+  const stored = inserted[inserted.length - 1];
+  const content = stored[3];
+
+  assert.match(verification_code, /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  assert.equal(stored[4], signature);
+  assert.equal(isSignatureValid({ content, signature }), true);
+
+  const altered = content.replace('"total_hours":5', '"total_hours":50');
+  assert.notEqual(altered, content);
+  assert.equal(isSignatureValid({ content: altered, signature }), false);
+  assert.equal(isSignatureValid({ content, signature: signature.slice(2) }), false);
+});
@@ -0,0 +1,49 @@
+// Unit tests for the uploaded file signature check in middleware/upload.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../config/database');
+const { matchesSignature } = require('../middleware/upload');
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+});
+
+// middleware/upload loads the pool through utils/eventFiles; close it so the process can exit
+after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await db.end().catch(() => {});
+});
+
+// Write bytes (hex, then optional padding) and describe them as multer would
+const upload = async (name, mimetype, hex, padding = 32) => {
+  const filePath = path.join(dir, name);
+  await fs.promises.writeFile(filePath, Buffer.concat([Buffer.from(hex, 'hex'), Buffer.alloc(padding)]));
+  return { path: filePath, mimetype };
+};
+
+test('files whose bytes match their declared type pass', async () => {
+  assert.equal(await matchesSignature(await upload('a.jpg', 'image/jpeg', 'ffd8ffe0')), true);
+  assert.equal(await matchesSignature(await upload('a.png', 'image/png', '89504e470d0a1a0a')), true);
+  assert.equal(await matchesSignature(await upload('a.webp', 'image/webp', '52494646' + '24000000' + '57454250')), true);
+  assert.equal(await matchesSignature(await upload('a.pdf', 'application/pdf', Buffer.from('%PDF-1.7').toString('hex'))), true);
+  assert.equal(await matchesSignature(await upload('a.doc', 'application/msword', 'd0cf11e0a1b11ae1')), true);
+  assert.equal(await matchesSignature(await upload('a.pptx', 'application/vnd.openxmlformats-officedocument.presentationml.presentation', '504b0304')), true);
+});
+
+test('files whose bytes do not match their declared type fail', async () => {
+  assert.equal(await matchesSignature(await upload('b.png', 'image/png', Buffer.from('<html>').toString('hex'))), false);
+  assert.equal(await matchesSignature(await upload('b.jpg', 'image/jpeg', '89504e470d0a1a0a')), false);
+  // RIFF alone is also WAV or AVI
+  assert.equal(await matchesSignature(await upload('b.webp', 'image/webp', '52494646' + '24000000' + '57415645')), false);
+  assert.equal(await matchesSignature(await upload('b.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'd0cf11e0a1b11ae1')), false);
+});
+
+test('files shorter than the signature fail', async () => {
+  assert.equal(await matchesSignature(await upload('c.png', 'image/png', '8950', 0)), false);
+  assert.equal(await matchesSignature(await upload('c.pdf', 'application/pdf', '', 0)), false);
+});
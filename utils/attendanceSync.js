@@ -0,0 +1,143 @@
+const moment = require('moment');
+const { isWithinCheckinWindow, isWithinCheckoutWindow } = require('./eventTime');
+
+// Offline check-ins and check-outs uploaded by scanning devices
+// (POST /api/attendance/sync). Every item carries an idempotency key generated on
+// the device. Applied items are recorded in attendance_sync_items in the same
+// transaction as the attendance change, so a retried upload gets the original
+// outcome back and never touches attendance twice. Rejected items are not
+// recorded: they changed nothing and may succeed on a later upload (e.g. once
+// another device has synced the check-in a check-out depends on).
+
+const SYNC_ACTIONS = ['check_in', 'check_out'];
+const SYNC_BATCH_LIMIT = 500;
+
+// Device clocks drift; allow recorded_at to run this far ahead of the server
+const MAX_CLOCK_SKEW_MINUTES = 5;
+
+const isShortString = value => typeof value === 'string' && value.trim() !== '' && value.length <= 100;
+
+// Returns an error message, or null when the item is well formed
+const validateSyncItem = (item) => {
+  if (!item || typeof item !== 'object') return 'Item must be an object';
+  if (!isShortString(item.idempotency_key)) return 'idempotency_key must be a string of at most 100 characters';
+  if (!isShortString(item.device_id)) return 'device_id must be a string of at most 100 characters';
+  if (!(parseInt(item.student_id) > 0) || String(parseInt(item.student_id)) !== String(item.student_id)) return 'student_id must be a positive integer';
+  if (item.action !== undefined && !SYNC_ACTIONS.includes(item.action)) return `action must be one of ${SYNC_ACTIONS.join(', ')}`;
+
+  const recordedAt = moment(item.recorded_at, moment.ISO_8601, true);
+  if (!recordedAt.isValid()) return 'recorded_at must be an ISO 8601 timestamp';
+  if (recordedAt.isAfter(moment().add(MAX_CLOCK_SKEW_MINUTES, 'minutes'))) return 'recorded_at is in the future';
+
+  return null;
+};
+
+const applyCheckIn = async (conn, event, studentId, recordedAt) => {
+  if (!isWithinCheckinWindow(event, recordedAt)) {
+    return { status: 'rejected', error: 'Recorded outside the check-in window' };
+  }
+
+  const [registration] = await conn.execute(
+    'SELECT id FROM registrations WHERE event_id = ? AND student_id = ? AND status = "registered"',
+    [event.id, studentId]
+  );
+  if (registration.length === 0) return { status: 'rejected', error: 'Student not registered for this event' };
+
+  const [existing] = await conn.execute(
+    'SELECT id FROM attendance WHERE event_id = ? AND student_id = ? FOR UPDATE',
+    [event.id, studentId]
+  );
+
+  if (existing.length > 0) {
+    // The student also checked in online or on another device. The recorded
+    // check-in stands: a device clock is not trusted to rewrite it.
+    return { status: 'already_checked_in', attendance_id: existing[0].id };
+  }
+
+  const [result] = await conn.execute(
+    'INSERT INTO attendance (college_id, event_id, student_id, checked_in_at) VALUES (?, ?, ?, ?)',
+    [event.college_id, event.id, studentId, recordedAt.toDate()]
+  );
+  await conn.execute(
+    'UPDATE registrations SET attendance_status = "attended" WHERE id = ?',
+    [registration[0].id]
+  );
+
+  return { status: 'checked_in', attendance_id: result.insertId };
+};
+
+const applyCheckOut = async (conn, event, studentId, recordedAt) => {
+  if (!isWithinCheckoutWindow(event, recordedAt)) {
+    return { status: 'rejected', error: 'Recorded outside the check-out window' };
+  }
+
+  const [attendance] = await conn.execute(
+    'SELECT id, checked_in_at, checked_out_at FROM attendance WHERE event_id = ? AND student_id = ? FOR UPDATE',
+    [event.id, studentId]
+  );
+  if (attendance.length === 0) return { status: 'rejected', error: 'Student has not checked in' };
+  if (attendance[0].checked_out_at) return { status: 'already_checked_out', attendance_id: attendance[0].id };
+  if (recordedAt.isBefore(attendance[0].checked_in_at)) {
+    return { status: 'rejected', error: 'Check-out cannot be earlier than check-in' };
+  }
+
+  await conn.execute('UPDATE attendance SET checked_out_at = ? WHERE id = ?', [recordedAt.toDate(), attendance[0].id]);
+
+  return { status: 'checked_out', attendance_id: attendance[0].id };
+};
+
+// Apply one validated item in its own transaction on conn. Returns
+// { status, attendance_id, replayed } or { status: 'rejected', error }.
+const syncItem = async (conn, event, item, syncedBy) => {
+  const action = item.action || 'check_in';
+  const studentId = parseInt(item.student_id);
+  const recordedAt = moment(item.recorded_at, moment.ISO_8601, true);
+
+  await conn.beginTransaction();
+
+  try {
+    const [previous] = await conn.execute(
+      'SELECT event_id, student_id, action, status, attendance_id FROM attendance_sync_items WHERE college_id = ? AND idempotency_key = ? FOR UPDATE',
+      [event.college_id, item.idempotency_key]
+    );
+
+    if (previous.length > 0) {
+      await conn.rollback();
+      const { event_id, student_id, status, attendance_id } = previous[0];
+
+      if (event_id !== event.id || student_id !== studentId || previous[0].action !== action) {
+        return { status: 'rejected', error: 'idempotency_key was already used for a different item' };
+      }
+      return { status, attendance_id, replayed: true };
+    }
+
+    const outcome = action === 'check_in'
+      ? await applyCheckIn(conn, event, studentId, recordedAt)
+      : await applyCheckOut(conn, event, studentId, recordedAt);
+
+    if (outcome.status === 'rejected') {
+      await conn.rollback();
+      return outcome;
+    }
+
+    await conn.execute(
+      `INSERT INTO attendance_sync_items
+        (college_id, event_id, idempotency_key, device_id, student_id, action, recorded_at, status, attendance_id, synced_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [event.college_id, event.id, item.idempotency_key, item.device_id, studentId, action, recordedAt.toDate(), outcome.status, outcome.attendance_id, syncedBy]
+    );
+
+    await conn.commit();
+
+    return { ...outcome, replayed: false };
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  SYNC_BATCH_LIMIT,
+  validateSyncItem,
+  syncItem
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// QR attendance tokens: <base64url payload>.<base64url HMAC-SHA256 signature>
+// signed with the event's qr_secret. A token belongs to one rotation window
+// and is still accepted during the following window to absorb scan delays.
+//
+// Limitation: every student in the room scans the same displayed code, so a
+// token cannot be single use, and a photo of it sent to someone elsewhere works
+// until it expires (up to two rotation windows). Rotation only narrows that
+// window; keep QR_ROTATION_SECONDS short, or use manual attendance when that
+// matters. A student can never check in twice (unique attendance row).
+const ROTATION_SECONDS = parseInt(process.env.QR_ROTATION_SECONDS) || 30;
+const GRACE_WINDOWS = 1;
+
+const sign = (payload, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest('base64url');
+
+const currentWindow = (now = Date.now()) => Math.floor(now / (ROTATION_SECONDS * 1000));
+
+const windowExpiry = (window) => new Date((window + 1 + GRACE_WINDOWS) * ROTATION_SECONDS * 1000);
+
+// Issue the token for the current rotation window
+const issueToken = (event, now = Date.now()) => {
+  const window = currentWindow(now);
+  const payload = Buffer.from(JSON.stringify({
+    e: event.id,
+    c: event.college_id,
+    w: window,
+    n: crypto.randomBytes(8).toString('hex')
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload, event.qr_secret)}`,
+    expires_at: windowExpiry(window),
+    rotates_in: (window + 1) * ROTATION_SECONDS - Math.floor(now / 1000)
+  };
+};
+
+// Read the unverified payload so the caller can look up the event's secret
+const decodeToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isInteger(data.e) || !Number.isInteger(data.w)) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns 'valid', 'invalid' or 'expired'
+const verifyToken = (token, event, now = Date.now()) => {
+  const data = decodeToken(token);
+  if (!data || !event.qr_secret || data.e !== event.id || data.c !== event.college_id) return 'invalid';
+
+  const [payload, signature] = token.split('.');
+  const expected = Buffer.from(sign(payload, event.qr_secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return 'invalid';
+
+  const window = currentWindow(now);
+  if (data.w > window) return 'invalid';
+  if (windowExpiry(data.w).getTime() <= now) return 'expired';
+
+  return 'valid';
+};
+
+module.exports = {
+  ROTATION_SECONDS,
+  issueToken,
+  decodeToken,
+  verifyToken
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+// stored hashed in refresh_tokens and rotated on every use. All tokens issued
+// from one login share a family_id so a replayed (already rotated) refresh
+// token can revoke the whole chain.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Which table a role lives in: admins holds both admin and super_admin
+const userTypeForRole = (role) => (role === 'student' ? 'student' : 'admin');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { id: user.id, college_id: user.college_id, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Store a new refresh token, optionally continuing an existing family
+const createRefreshToken = async (conn, user, req, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const [result] = await conn.execute(
+    'INSERT INTO refresh_tokens (user_id, user_type, token_hash, family_id, expires_at, user_agent, ip_address) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [user.id, userTypeForRole(user.role), hashToken(token), familyId, expiresAt,
+      (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null]
+  );
+
+  return { id: result.insertId, token, expiresAt };
+};
+
+// Issue the access/refresh pair returned by login and refresh
+const issueSession = async (user, req, conn = db, familyId) => {
+  const refresh = await createRefreshToken(conn, user, req, familyId);
+
+  return {
+    refreshId: refresh.id,
+    tokens: {
+      token: signAccessToken(user),
+      refresh_token: refresh.token,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL,
+      refresh_expires_at: refresh.expiresAt
+    }
+  };
+};
+
+const revokeFamily = (conn, familyId) => conn.execute(
+  'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+  [familyId]
+);
+
+// Log a user out everywhere, e.g. on "log out of all devices" or deactivation
+const revokeAllForUser = (conn, userId, role) => conn.execute(
+  'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND user_type = ? AND revoked_at IS NULL',
+  [userId, userTypeForRole(role)]
+);
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  userTypeForRole,
+  hashToken,
+  signAccessToken,
+  issueSession,
+  revokeFamily,
+  revokeAllForUser
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { notify } = require('./notifications');
+const { summarizeAttendance } = require('./eventTime');
+
+// Not served statically: PDFs are only handed out by the authenticated
+// GET /api/certificates/:certificate_id/download
+const CERTIFICATES_DIR = path.join(__dirname, '..', 'certificates');
+
+const certificatePath = (certificateId) => path.join(CERTIFICATES_DIR, `${certificateId}.pdf`);
+const certificateUrl = (certificateId) => `/api/certificates/${certificateId}/download`;
+
+// Stored in certificates.file_path, relative to the project root
+const certificateFile = (certificateId) => `certificates/${certificateId}.pdf`;
+
+// Render a certificate of participation to certificates/<certificate_id>.pdf
+const generateCertificatePdf = async ({ certificate_id, student_name, event_title, event_date, duration_hours, college_name }) => {
+  await fs.promises.mkdir(CERTIFICATES_DIR, { recursive: true });
+  const filePath = certificatePath(certificate_id);
+
+  await new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+
+    const { width, height } = doc.page;
+    doc.lineWidth(4).rect(25, 25, width - 50, height - 50).stroke('#1f3a68');
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#1f3a68');
+
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#1f3a68').text(college_name, { align: 'center' });
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(34).fillColor('#000').text('Certificate of Participation', { align: 'center' });
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(16).text('This is to certify that', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(28).text(student_name, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(16).text('has successfully participated in', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(22).text(event_title, { align: 'center' });
+    doc.moveDown(0.5);
+
+    let details = `held on ${moment(event_date).format('MMMM D, YYYY')}`;
+    if (duration_hours) {
+      details += ` (${parseFloat(duration_hours)} hour${parseFloat(duration_hours) === 1 ? '' : 's'})`;
+    }
+    doc.font('Helvetica').fontSize(16).text(details, { align: 'center' });
+
+    doc.font('Helvetica').fontSize(10).fillColor('#555')
+      .text(`Certificate ID: ${certificate_id}`, 50, height - 80, { align: 'left' })
+      .text(`Verify at /api/certificates/verify/${certificate_id}`, 50, height - 80, { align: 'right' });
+
+    doc.end();
+  });
+
+  return filePath;
+};
+
+// Generate certificates for every attendee of an event who does not have one yet
+// and meets the event's min_attendance_percent; the others are returned as ineligible.
+// Safe to run repeatedly: students who already hold a certificate are skipped.
+const issueCertificates = async (eventId, collegeId) => {
+  const [rows] = await db.execute(`
+    SELECT a.id as attendance_id, a.student_id, a.checked_in_at, a.checked_out_at, s.first_name, s.last_name,
+           e.title, e.event_date, e.start_time, e.end_time, e.duration_hours, e.late_grace_minutes, e.min_attendance_percent,
+           c.name as college_name
+    FROM attendance a
+    JOIN students s ON a.student_id = s.id
+    JOIN events e ON a.event_id = e.id
+    JOIN colleges c ON a.college_id = c.id
+    LEFT JOIN certificates cert ON a.event_id = cert.event_id AND a.student_id = cert.student_id
+    WHERE a.event_id = ? AND a.college_id = ? AND cert.id IS NULL
+  `, [eventId, collegeId]);
+
+  const attendees = [];
+  const ineligible = [];
+
+  for (const row of rows) {
+    const { checked_out, attended_minutes, attendance_percent, meets_minimum } = summarizeAttendance(row, row);
+    if (meets_minimum) {
+      attendees.push(row);
+    } else {
+      ineligible.push({
+        student_id: row.student_id,
+        student_name: `${row.first_name} ${row.last_name}`,
+        reason: checked_out ? 'Below the minimum attendance' : 'No check-out recorded',
+        attended_minutes,
+        attendance_percent,
+        min_attendance_percent: row.min_attendance_percent
+      });
+    }
+  }
+
+  const generated = [];
+  const failed = [];
+
+  for (const attendee of attendees) {
+    let filePath;
+    try {
+      const certificateId = uuidv4();
+
+      filePath = await generateCertificatePdf({
+        certificate_id: certificateId,
+        student_name: `${attendee.first_name} ${attendee.last_name}`,
+        event_title: attendee.title,
+        event_date: attendee.event_date,
+        duration_hours: attendee.duration_hours,
+        college_name: attendee.college_name
+      });
+
+      await db.execute(
+        'INSERT INTO certificates (college_id, event_id, student_id, attendance_id, certificate_id, file_path) VALUES (?, ?, ?, ?, ?, ?)',
+        [collegeId, eventId, attendee.student_id, attendee.attendance_id, certificateId, certificateFile(certificateId)]
+      );
+
+      generated.push({
+        student_id: attendee.student_id,
+        student_name: `${attendee.first_name} ${attendee.last_name}`,
+        certificate_id: certificateId,
+        url: certificateUrl(certificateId)
+      });
+    } catch (error) {
+      if (filePath) {
+        await fs.promises.unlink(filePath).catch(() => {});
+      }
+      failed.push({
+        student_id: attendee.student_id,
+        student_name: `${attendee.first_name} ${attendee.last_name}`,
+        error: error.message
+      });
+    }
+  }
+
+  if (generated.length > 0) {
+    // The certificates exist either way, so a failed notification is only logged
+    await notify(generated.map(certificate => certificate.student_id), {
+      type: 'certificate_ready',
+      college_id: collegeId,
+      title: `Your certificate for ${attendees[0].title} is ready`,
+      body: 'Download it from your certificates page.',
+      data: { event_id: parseInt(eventId) }
+    }).catch(error => console.error('Certificate notification error:', error));
+  }
+
+  return { generated, failed, ineligible };
+};
+
+// Delete the PDFs of certificates whose rows are gone (e.g. cascaded with their event)
+const removeCertificateFiles = (certificateIds) => Promise.all(certificateIds.map(certificateId => fs.promises
+  .unlink(certificatePath(certificateId))
+  .catch(error => {
+    if (error.code !== 'ENOENT') console.error('Remove certificate file error:', error);
+  })));
+
+module.exports = {
+  CERTIFICATES_DIR,
+  certificatePath,
+  certificateUrl,
+  generateCertificatePdf,
+  issueCertificates,
+  removeCertificateFiles
+};
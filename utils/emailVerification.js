@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { sendMail, appUrl } = require('./mailer');
+const { hashToken } = require('./authTokens');
+
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS) || 24;
+
+const normalizeDomain = (domain) => domain.trim().toLowerCase().replace(/^@/, '');
+
+// A college without configured domains accepts any address; otherwise the
+// email must be on one of its domains or a subdomain of one
+const isEmailDomainAllowed = async (collegeId, email, conn = db) => {
+  const [domains] = await conn.execute(
+    'SELECT domain FROM college_email_domains WHERE college_id = ?',
+    [collegeId]
+  );
+  if (domains.length === 0) return true;
+
+  const emailDomain = normalizeDomain(email.split('@').pop());
+  return domains.some(({ domain }) => emailDomain === domain || emailDomain.endsWith(`.${domain}`));
+};
+
+// Issue a fresh verification link (older unused links stop working) and email it
+const sendVerificationEmail = async (student, conn = db) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await conn.execute(
+    'UPDATE email_verification_tokens SET used_at = NOW() WHERE student_id = ? AND used_at IS NULL',
+    [student.id]
+  );
+  await conn.execute(
+    'INSERT INTO email_verification_tokens (student_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [student.id, hashToken(token), new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000)]
+  );
+
+  const link = appUrl('/verify-email', { token });
+  await sendMail({
+    to: student.email,
+    subject: 'Verify your UniEvent email',
+    text: `Hi ${student.first_name},\n\nConfirm your email address to start registering for events:\n\n${link}\n\nThis link expires in ${VERIFICATION_TOKEN_TTL_HOURS} hours.`
+  });
+};
+
+module.exports = {
+  normalizeDomain,
+  isEmailDomainAllowed,
+  sendVerificationEmail
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+
+// Served statically by server.js under /uploads
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const eventUploadDir = (eventId) => path.join(UPLOADS_DIR, 'events', String(parseInt(eventId)));
+
+const fileUrl = (file) => `/uploads/events/${file.event_id}/${file.stored_name}`;
+
+const serializeFile = (file) => ({
+  id: file.id,
+  kind: file.kind,
+  name: file.original_name,
+  mime_type: file.mime_type,
+  size_bytes: file.size_bytes,
+  url: fileUrl(file),
+  uploaded_at: file.created_at
+});
+
+// Add banner_url and attachments to each event with one query
+const attachFiles = async (events) => {
+  if (events.length === 0) return events;
+
+  const ids = events.map(event => event.id);
+  const [files] = await db.query(
+    'SELECT * FROM event_files WHERE event_id IN (?) ORDER BY created_at ASC',
+    [ids]
+  );
+
+  for (const event of events) {
+    const own = files.filter(file => file.event_id === event.id);
+    const banner = own.find(file => file.kind === 'banner');
+    event.banner_url = banner ? fileUrl(banner) : null;
+    event.attachments = own.filter(file => file.kind === 'attachment').map(serializeFile);
+  }
+
+  return events;
+};
+
+const removeStoredFile = (file) => fs.promises
+  .unlink(path.join(eventUploadDir(file.event_id), file.stored_name))
+  .catch(error => {
+    if (error.code !== 'ENOENT') console.error('Remove event file error:', error);
+  });
+
+// Delete every upload of an event (after the event row is gone)
+const removeEventUploads = (eventId) => fs.promises
+  .rm(eventUploadDir(eventId), { recursive: true, force: true })
+  .catch(error => console.error('Remove event uploads error:', error));
+
+module.exports = {
+  UPLOADS_DIR,
+  eventUploadDir,
+  fileUrl,
+  serializeFile,
+  attachFiles,
+  removeStoredFile,
+  removeEventUploads
+};
@@ -0,0 +1,39 @@
+// Sorting and keyset pagination for the GET /api/events listing
+
+// Listing sort options: sort key expression for a direction, and default direction.
+// Relevance has no stable key to page on, so it only supports offset paging.
+const EVENT_SORTS = {
+  date: { key: () => 'e.event_date', order: 'asc' },
+  popularity: { key: () => 'e.registered_count', order: 'desc' },
+  // Unrated events sort last in either direction
+  rating: { key: order => `COALESCE(e.avg_rating, ${order === 'DESC' ? 0 : 6})`, order: 'desc' },
+  relevance: { key: null, order: 'desc' }
+};
+
+// Keyset cursor: the last row's sort key and id, tied to the sort it was issued for
+const encodeCursor = (sort, order, row) => Buffer.from(JSON.stringify({
+  s: sort,
+  o: order,
+  k: row.sort_key instanceof Date ? row.sort_key.toISOString() : row.sort_key,
+  id: row.id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!EVENT_SORTS[data.s] || !['ASC', 'DESC'].includes(data.o) || !Number.isInteger(data.id)) return null;
+    if (data.s === 'date') {
+      data.k = new Date(data.k);
+      if (Number.isNaN(data.k.getTime())) return null;
+    }
+    return data;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  EVENT_SORTS,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,32 @@
+// Counters stored on events (registered_count, waitlist_count, feedback_count,
+// avg_rating; hidden feedback does not count). They are recomputed from the source rows rather than incremented,
+// so calling a refresh twice or after a failed write can never make them drift.
+// Call them on the connection that changed the rows, before committing.
+//
+// updated_at = updated_at stops ON UPDATE CURRENT_TIMESTAMP from treating a
+// counter change as an edit of the event (calendar feeds rely on it).
+
+const refreshRegistrationCounts = async (conn, eventId) => {
+  await conn.execute(`
+    UPDATE events e SET
+      registered_count = (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'registered'),
+      waitlist_count = (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'waitlisted'),
+      updated_at = updated_at
+    WHERE e.id = ?
+  `, [eventId]);
+};
+
+const refreshFeedbackStats = async (conn, eventId) => {
+  await conn.execute(`
+    UPDATE events e SET
+      feedback_count = (SELECT COUNT(*) FROM feedback f WHERE f.event_id = e.id AND f.hidden_at IS NULL),
+      avg_rating = (SELECT AVG(f.rating) FROM feedback f WHERE f.event_id = e.id AND f.hidden_at IS NULL),
+      updated_at = updated_at
+    WHERE e.id = ?
+  `, [eventId]);
+};
+
+module.exports = {
+  refreshRegistrationCounts,
+  refreshFeedbackStats
+};
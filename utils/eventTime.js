@@ -0,0 +1,83 @@
+const moment = require('moment');
+
+// Minutes before start_time that check-in opens (see DesignDocument.md, Attendance Window)
+const CHECKIN_OPENS_BEFORE_MINUTES = parseInt(process.env.CHECKIN_OPENS_BEFORE_MINUTES) || 30;
+
+// Minutes after end_time that check-out stays open
+const CHECKOUT_CLOSES_AFTER_MINUTES = parseInt(process.env.CHECKOUT_CLOSES_AFTER_MINUTES) || 30;
+
+// Combine event_date with the HH:MM start_time/end_time columns into moments
+const getEventSchedule = (event) => {
+  const day = moment(event.event_date).format('YYYY-MM-DD');
+  const startsAt = event.start_time
+    ? moment(`${day} ${event.start_time}`, 'YYYY-MM-DD HH:mm')
+    : moment(event.event_date);
+  let endsAt = event.end_time
+    ? moment(`${day} ${event.end_time}`, 'YYYY-MM-DD HH:mm')
+    : startsAt.clone().add(parseFloat(event.duration_hours) || 1, 'hours');
+
+  // The API requires end_time after start_time; older rows that end at or
+  // before it are read as running past midnight into the following day
+  if (!endsAt.isAfter(startsAt)) {
+    endsAt = endsAt.add(1, 'day');
+  }
+
+  return { startsAt, endsAt };
+};
+
+// Whether check-in is currently open for the event
+const isWithinCheckinWindow = (event, now = moment()) => {
+  const { startsAt, endsAt } = getEventSchedule(event);
+  const opensAt = startsAt.clone().subtract(CHECKIN_OPENS_BEFORE_MINUTES, 'minutes');
+  return now.isSameOrAfter(opensAt) && now.isSameOrBefore(endsAt);
+};
+
+// Whether check-out is currently open for the event
+const isWithinCheckoutWindow = (event, now = moment()) => {
+  const { startsAt, endsAt } = getEventSchedule(event);
+  const closesAt = endsAt.clone().add(CHECKOUT_CLOSES_AFTER_MINUTES, 'minutes');
+  return now.isSameOrAfter(startsAt.clone().subtract(CHECKIN_OPENS_BEFORE_MINUTES, 'minutes')) && now.isSameOrBefore(closesAt);
+};
+
+// Attended time of one attendance row under the event's late_grace_minutes and
+// min_attendance_percent rules. Arrivals within the grace period count from the
+// start, later ones from check-in and are marked late. Only time inside the
+// schedule counts.
+//
+// Without a check-out the time stayed is unknown. For events with a minimum it
+// is not credited (attended_minutes and attendance_percent are null and the
+// minimum is not met); events without one, which includes every event from
+// before check-out existed, count it as staying until the end.
+const summarizeAttendance = (event, attendance) => {
+  const { startsAt, endsAt } = getEventSchedule(event);
+  const checkedInAt = moment(attendance.checked_in_at);
+  const isLate = checkedInAt.isAfter(startsAt.clone().add(event.late_grace_minutes || 0, 'minutes'));
+  const minimum = event.min_attendance_percent || 0;
+
+  if (!attendance.checked_out_at && minimum > 0) {
+    return { is_late: isLate, checked_out: false, attended_minutes: null, attendance_percent: null, meets_minimum: false };
+  }
+
+  const from = isLate ? checkedInAt : startsAt;
+  const until = attendance.checked_out_at ? moment.min(moment(attendance.checked_out_at), endsAt) : endsAt;
+
+  const scheduledMinutes = endsAt.diff(startsAt, 'minutes');
+  const attendedMinutes = Math.max(0, until.diff(from, 'minutes'));
+  const attendancePercent = scheduledMinutes > 0 ? Math.min(100, Math.floor((attendedMinutes / scheduledMinutes) * 100)) : 100;
+
+  return {
+    is_late: isLate,
+    checked_out: Boolean(attendance.checked_out_at),
+    attended_minutes: attendedMinutes,
+    attendance_percent: attendancePercent,
+    meets_minimum: attendancePercent >= minimum
+  };
+};
+
+module.exports = {
+  CHECKOUT_CLOSES_AFTER_MINUTES,
+  getEventSchedule,
+  isWithinCheckinWindow,
+  isWithinCheckoutWindow,
+  summarizeAttendance
+};
@@ -0,0 +1,81 @@
+const moment = require('moment');
+const { getEventSchedule } = require('./eventTime');
+
+// Minimal RFC 5545 writer for event feeds
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatUtc = (value) => moment(value).utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+// Content lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const ICAL_STATUS = {
+  active: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// One VEVENT; the UID stays the same for the life of the event and SEQUENCE
+// follows updated_at so calendar clients pick up edits and cancellations
+const buildEvent = (event, { summaryPrefix = '', status } = {}) => {
+  const { startsAt, endsAt } = getEventSchedule(event);
+  const updatedAt = event.updated_at || event.created_at || new Date();
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:event-${event.id}@unievent`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`,
+    `DTSTART:${formatUtc(startsAt)}`,
+    `DTEND:${formatUtc(endsAt)}`,
+    `SUMMARY:${escapeText(summaryPrefix + event.title)}`,
+    event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+    event.venue ? `LOCATION:${escapeText(event.venue)}` : null,
+    event.category ? `CATEGORIES:${escapeText(event.category)}` : null,
+    `STATUS:${status || ICAL_STATUS[event.status] || 'CONFIRMED'}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// Build a VCALENDAR document from a list of VEVENT line arrays
+const buildCalendar = (name, vevents) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//UniEvent//Event Calendar//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  ...vevents.flat(),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+const sendCalendar = (res, filename, body) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}.ics"`);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(body);
+};
+
+module.exports = {
+  buildEvent,
+  buildCalendar,
+  sendCalendar
+};
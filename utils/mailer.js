@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail goes through sendMail({ to, subject, text, html }).
+// MAIL_TRANSPORT picks the transport:
+//   console - print the message (default outside production)
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR (handy for tests)
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD
+const MAIL_FROM = process.env.MAIL_FROM || 'UniEvent <no-reply@unievent.local>';
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+const transports = {
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { transport: 'console' };
+  },
+
+  file: async (message) => {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const file = path.join(OUTBOX_DIR, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sent_at: new Date() }, null, 2));
+    return { transport: 'file', file };
+  },
+
+  smtp: (() => {
+    let transporter;
+    return async (message) => {
+      if (!transporter) {
+        const nodemailer = require('nodemailer');
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+      }
+      const info = await transporter.sendMail(message);
+      return { transport: 'smtp', messageId: info.messageId };
+    };
+  })()
+};
+
+const getTransportName = () => process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = getTransportName();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  return transport({ from: MAIL_FROM, to, subject, text, html });
+};
+
+// Link into the frontend, e.g. appUrl('/reset-password', { token })
+const appUrl = (pathname, params = {}) => {
+  const frontend = process.env.FRONTEND_URL !== '*' && process.env.FRONTEND_URL;
+  const base = process.env.APP_URL || frontend || 'http://localhost:3000';
+  const url = new URL(pathname, base);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  appUrl
+};
@@ -0,0 +1,44 @@
+const db = require('../config/database');
+
+// Notification types a student can switch off in their preferences
+const NOTIFICATION_TYPES = {
+  waitlist_promoted: 'Promoted off a waitlist',
+  event_updated: 'Changes to an event you registered for',
+  event_cancelled: 'Cancellation of an event you registered for',
+  certificate_ready: 'A certificate is ready to download',
+  event_reminder: 'Reminders 24 hours and 1 hour before an event',
+  feedback_request: 'Requests for feedback after an event you attended'
+};
+
+// The subset of studentIds who have not turned the notification type off
+const filterRecipients = async (studentIds, type, conn = db) => {
+  const ids = [...new Set([].concat(studentIds))].filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const [optedOut] = await conn.query(
+    'SELECT student_id FROM notification_preferences WHERE type = ? AND enabled = false AND student_id IN (?)',
+    [type, ids]
+  );
+  const muted = new Set(optedOut.map(row => row.student_id));
+  return ids.filter(id => !muted.has(id));
+};
+
+// Create one notification per student, skipping students who turned the type off.
+// Pass the transaction's connection so notifications commit with the change.
+const notify = async (studentIds, { type, college_id, title, body = null, data = null }, conn = db) => {
+  const recipients = await filterRecipients(studentIds, type, conn);
+  if (recipients.length === 0) return 0;
+
+  await conn.query(
+    'INSERT INTO notifications (student_id, college_id, type, title, body, data) VALUES ?',
+    [recipients.map(id => [id, college_id, type, title, body, data ? JSON.stringify(data) : null])]
+  );
+
+  return recipients.length;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  filterRecipients,
+  notify
+};
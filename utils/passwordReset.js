@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { hashToken } = require('./authTokens');
+const { appUrl } = require('./mailer');
+
+// Store a single-use reset token and return the frontend link for it.
+// Only the newest link per user stays usable.
+const createPasswordResetLink = async (userId, userType, ttlMinutes, conn = db) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await conn.execute(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND user_type = ? AND used_at IS NULL',
+    [userId, userType]
+  );
+  await conn.execute(
+    'INSERT INTO password_reset_tokens (user_id, user_type, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, userType, hashToken(token), new Date(Date.now() + ttlMinutes * 60 * 1000)]
+  );
+
+  return appUrl('/reset-password', { token });
+};
+
+module.exports = {
+  createPasswordResetLink
+};
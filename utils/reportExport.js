@@ -0,0 +1,120 @@
+const { pipeline } = require('stream');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { Transform: CsvTransform } = require('json2csv');
+const db = require('../config/database');
+
+// Shared output for routes/report.js. JSON keeps the original response shape;
+// CSV and PDF stream rows straight from MySQL so large reports are never held
+// in memory.
+//
+// columns: [{ label: 'Event', value: 'title', width: 2 }] - width is a relative
+// weight used for the PDF table (defaults to 1).
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return moment(value).format('YYYY-MM-DD HH:mm');
+  return String(value);
+};
+
+// Row stream from the callback pool (the promise wrapper cannot stream)
+const streamQuery = (sql, params) => db.pool.query(sql, params).stream();
+
+// Send the pipeline's failure as JSON if nothing was written yet, otherwise cut the response
+const handleStreamError = (res, label) => (error) => {
+  if (!error) return;
+  console.error(`${label} export error:`, error);
+  if (!res.headersSent) {
+    res.status(500).json({ error: 'Failed to generate report' });
+  } else {
+    res.destroy(error);
+  }
+};
+
+const sendCsv = (res, { sql, params, columns, filename }) => {
+  res.type('text/csv; charset=utf-8');
+  res.attachment(`${filename}.csv`);
+
+  const csv = new CsvTransform({ fields: columns.map(({ label, value }) => ({ label, value })) }, { objectMode: true });
+  pipeline(streamQuery(sql, params), csv, res, handleStreamError(res, filename));
+};
+
+const sendPdf = async (res, { sql, params, columns, filename, title }) => {
+  res.type('application/pdf');
+  res.attachment(`${filename}.pdf`);
+
+  const doc = new PDFDocument({ size: 'A4', layout: columns.length > 4 ? 'landscape' : 'portrait', margin: 40 });
+  pipeline(doc, res, handleStreamError(res, filename));
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => (tableWidth * (column.width || 1)) / totalWeight);
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - 6 }))) + 6;
+
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (font !== 'Helvetica-Bold') drawHeader();
+      doc.font(font).fontSize(9);
+    }
+
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + 3, y + 3, { width: widths[i] - 6 });
+      x += widths[i];
+    });
+    doc.moveTo(left, y + height).lineTo(left + tableWidth, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(`Generated ${moment().format('YYYY-MM-DD HH:mm')}`);
+  doc.fillColor('#000000').moveDown();
+  drawHeader();
+
+  try {
+    let count = 0;
+    for await (const row of streamQuery(sql, params)) {
+      drawRow(columns.map(({ value }) => formatValue(typeof value === 'function' ? value(row) : row[value])), 'Helvetica');
+      count++;
+    }
+
+    if (count === 0) {
+      doc.moveDown().font('Helvetica-Oblique').fontSize(10).text('No data for this report.');
+    }
+  } catch (error) {
+    handleStreamError(res, filename)(error);
+  } finally {
+    doc.end();
+  }
+};
+
+// Respond with a report in the requested ?format= (json, csv or pdf)
+const sendReport = async (req, res, { sql, params, columns, filename, title, jsonKey = 'report' }) => {
+  const format = req.query.format || 'json';
+
+  if (format === 'csv') {
+    return sendCsv(res, { sql, params, columns, filename });
+  }
+
+  if (format === 'pdf') {
+    return sendPdf(res, { sql, params, columns, filename, title });
+  }
+
+  const [rows] = await db.execute(sql, params);
+  res.json({ [jsonKey]: rows });
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  sendReport
+};
@@ -0,0 +1,74 @@
+const { parse } = require('csv-parse/sync');
+const validator = require('validator');
+
+// Student roster CSV: one row per student, header row required
+const REQUIRED_COLUMNS = ['email', 'student_id', 'first_name', 'last_name'];
+const OPTIONAL_COLUMNS = ['department', 'year_of_study'];
+const MAX_ROSTER_ROWS = parseInt(process.env.MAX_ROSTER_ROWS) || 5000;
+
+// Placeholder password for imported accounts: never matches in bcrypt.compare,
+// so the student must set a password through the emailed link first
+const UNUSABLE_PASSWORD_HASH = '!';
+
+// Parse the CSV into [{ line, data }]; line numbers count the header as line 1
+const parseRoster = (buffer) => {
+  const records = parse(buffer, {
+    columns: header => header.map(column => column.trim().toLowerCase()),
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  });
+
+  const columns = records.length > 0 ? Object.keys(records[0].record) : [];
+  const missingColumns = records.length > 0 ? REQUIRED_COLUMNS.filter(column => !columns.includes(column)) : REQUIRED_COLUMNS;
+
+  return {
+    missingColumns,
+    rows: records.map(({ record, info }) => ({ line: info.lines, data: record }))
+  };
+};
+
+// Returns the row's validation errors and its normalized values
+const validateRosterRow = (data) => {
+  const errors = [];
+  const value = (key) => (data[key] === undefined ? '' : String(data[key]).trim());
+
+  const row = {
+    email: value('email').toLowerCase(),
+    student_id: value('student_id'),
+    first_name: value('first_name'),
+    last_name: value('last_name'),
+    department: value('department') || null,
+    year_of_study: value('year_of_study') || null
+  };
+
+  if (!validator.isEmail(row.email)) errors.push('email is not a valid email address');
+  if (!row.student_id) errors.push('student_id is required');
+  else if (row.student_id.length > 50) errors.push('student_id must be at most 50 characters');
+  if (!row.first_name) errors.push('first_name is required');
+  else if (row.first_name.length > 100) errors.push('first_name must be at most 100 characters');
+  if (!row.last_name) errors.push('last_name is required');
+  else if (row.last_name.length > 100) errors.push('last_name must be at most 100 characters');
+  if (row.department && row.department.length > 100) errors.push('department must be at most 100 characters');
+
+  if (row.year_of_study !== null) {
+    if (!validator.isInt(row.year_of_study, { min: 1, max: 10 })) {
+      errors.push('year_of_study must be a whole number between 1 and 10');
+    } else {
+      row.year_of_study = parseInt(row.year_of_study);
+    }
+  }
+
+  return { errors, row };
+};
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  OPTIONAL_COLUMNS,
+  MAX_ROSTER_ROWS,
+  UNUSABLE_PASSWORD_HASH,
+  parseRoster,
+  validateRosterRow
+};
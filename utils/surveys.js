@@ -0,0 +1,209 @@
+const db = require('../config/database');
+
+// Category ratings every feedback form offers (DesignDocument.md, Feedback Data)
+const CATEGORY_RATINGS = {
+  quality_rating: 'Event quality',
+  relevance_rating: 'Content relevance',
+  organization_rating: 'Organization'
+};
+
+const QUESTION_TYPES = ['rating', 'choice', 'text'];
+const MAX_QUESTIONS = 30;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+// Check a list of questions from a request body, returns { errors, questions }
+const validateQuestions = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { errors: ['questions must be a non-empty array'], questions: [] };
+  }
+  if (input.length > MAX_QUESTIONS) {
+    return { errors: [`A survey can have at most ${MAX_QUESTIONS} questions`], questions: [] };
+  }
+
+  const errors = [];
+  const questions = input.map((question, index) => {
+    const label = `questions[${index}]`;
+    const type = question && question.type;
+    const prompt = question && typeof question.prompt === 'string' ? question.prompt.trim() : '';
+
+    if (!QUESTION_TYPES.includes(type)) errors.push(`${label}.type must be one of ${QUESTION_TYPES.join(', ')}`);
+    if (!prompt || prompt.length > 500) errors.push(`${label}.prompt is required and must be at most 500 characters`);
+
+    let options = null;
+    if (type === 'choice') {
+      options = Array.isArray(question.options)
+        ? [...new Set(question.options.filter(option => typeof option === 'string').map(option => option.trim()).filter(Boolean))]
+        : [];
+      if (options.length < 2 || options.length > MAX_OPTIONS) errors.push(`${label}.options needs 2 to ${MAX_OPTIONS} distinct choices`);
+      if (options.some(option => option.length > 255)) errors.push(`${label}.options must each be at most 255 characters`);
+    }
+
+    return { type, prompt, options, required: question.required === true };
+  });
+
+  return { errors, questions };
+};
+
+const loadQuestions = async (surveyId, conn = db) => {
+  const [questions] = await conn.execute(
+    'SELECT id, type, prompt, options, required FROM survey_questions WHERE survey_id = ? ORDER BY position, id',
+    [surveyId]
+  );
+  questions.forEach(question => {
+    question.required = Boolean(question.required);
+  });
+  return questions;
+};
+
+// The survey attached to an event, with its questions, or null
+const getEventSurvey = async (eventId, conn = db) => {
+  const [surveys] = await conn.execute('SELECT id, title, created_at FROM surveys WHERE event_id = ?', [eventId]);
+  if (surveys.length === 0) return null;
+
+  const survey = surveys[0];
+  survey.questions = await loadQuestions(survey.id, conn);
+  return survey;
+};
+
+// Same as getEventSurvey, with the survey row locked FOR SHARE until the
+// transaction ends, so it cannot be replaced or removed while answers are saved
+const lockEventSurvey = async (conn, eventId) => {
+  const [surveys] = await conn.execute('SELECT id, title, created_at FROM surveys WHERE event_id = ? FOR SHARE', [eventId]);
+  if (surveys.length === 0) return null;
+
+  const survey = surveys[0];
+  survey.questions = await loadQuestions(survey.id, conn);
+  return survey;
+};
+
+// Replace a survey's questions (call inside a transaction)
+const saveQuestions = async (conn, surveyId, questions) => {
+  await conn.execute('DELETE FROM survey_questions WHERE survey_id = ?', [surveyId]);
+  await conn.query(
+    'INSERT INTO survey_questions (survey_id, position, type, prompt, options, required) VALUES ?',
+    [questions.map((question, index) => [
+      surveyId, index + 1, question.type, question.prompt,
+      question.options ? JSON.stringify(question.options) : null, question.required
+    ])]
+  );
+};
+
+// Check answers ([{ question_id, value }]) against a survey's questions.
+// Returns { errors, answers } where answers are feedback_answers rows.
+const validateAnswers = (questions, input = []) => {
+  if (!Array.isArray(input)) {
+    return { errors: ['answers must be an array'], answers: [] };
+  }
+
+  const errors = [];
+  const byId = new Map(questions.map(question => [question.id, question]));
+  const answers = new Map();
+
+  input.forEach((answer, index) => {
+    const label = `answers[${index}]`;
+    const question = byId.get(parseInt(answer && answer.question_id));
+
+    if (!question) {
+      errors.push(`${label}.question_id is not a question of this event's survey`);
+      return;
+    }
+    if (answers.has(question.id)) {
+      errors.push(`${label} answers question ${question.id} a second time`);
+      return;
+    }
+
+    const { value } = answer;
+    if (value === undefined || value === null || value === '') return;
+
+    const row = { question_id: question.id, rating_value: null, choice_value: null, text_value: null };
+
+    if (question.type === 'rating') {
+      if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > 5) {
+        errors.push(`${label}.value must be a whole number from 1 to 5`);
+        return;
+      }
+      row.rating_value = Number(value);
+    } else if (question.type === 'choice') {
+      if (!question.options.includes(value)) {
+        errors.push(`${label}.value must be one of: ${question.options.join(', ')}`);
+        return;
+      }
+      row.choice_value = value;
+    } else {
+      if (typeof value !== 'string' || value.length > MAX_TEXT_ANSWER_LENGTH) {
+        errors.push(`${label}.value must be text of at most ${MAX_TEXT_ANSWER_LENGTH} characters`);
+        return;
+      }
+      row.text_value = value.trim();
+    }
+
+    answers.set(question.id, row);
+  });
+
+  for (const question of questions) {
+    if (question.required && !answers.has(question.id)) {
+      errors.push(`"${question.prompt}" is required`);
+    }
+  }
+
+  return { errors, answers: [...answers.values()] };
+};
+
+// Replace the answers stored for a feedback entry (call inside a transaction)
+const saveAnswers = async (conn, feedbackId, answers) => {
+  await conn.execute('DELETE FROM feedback_answers WHERE feedback_id = ?', [feedbackId]);
+  if (answers.length === 0) return;
+
+  await conn.query(
+    'INSERT INTO feedback_answers (feedback_id, question_id, rating_value, choice_value, text_value) VALUES ?',
+    [answers.map(answer => [feedbackId, answer.question_id, answer.rating_value, answer.choice_value, answer.text_value])]
+  );
+};
+
+// Per-question aggregates: rating average and distribution, choice counts, text responses.
+// Answers belonging to hidden feedback are left out.
+const summarizeSurvey = async (survey, conn = db) => {
+  const [rows] = await conn.execute(`
+    SELECT fa.question_id, fa.rating_value, fa.choice_value, fa.text_value
+    FROM feedback_answers fa
+    JOIN survey_questions q ON fa.question_id = q.id
+    JOIN feedback f ON fa.feedback_id = f.id
+    WHERE q.survey_id = ? AND f.hidden_at IS NULL
+    ORDER BY f.submitted_at DESC
+  `, [survey.id]);
+
+  return survey.questions.map(question => {
+    const answers = rows.filter(row => row.question_id === question.id);
+    const summary = { question_id: question.id, type: question.type, prompt: question.prompt, response_count: answers.length };
+
+    if (question.type === 'rating') {
+      const total = answers.reduce((sum, row) => sum + row.rating_value, 0);
+      summary.average = answers.length > 0 ? (total / answers.length).toFixed(2) : null;
+      summary.distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      answers.forEach(row => { summary.distribution[row.rating_value]++; });
+    } else if (question.type === 'choice') {
+      summary.option_counts = Object.fromEntries(question.options.map(option => [option, 0]));
+      answers.forEach(row => {
+        if (row.choice_value in summary.option_counts) summary.option_counts[row.choice_value]++;
+      });
+    } else {
+      // Text answers are listed without names so anonymous feedback stays anonymous
+      summary.responses = answers.map(row => row.text_value).filter(Boolean);
+    }
+
+    return summary;
+  });
+};
+
+module.exports = {
+  CATEGORY_RATINGS,
+  validateQuestions,
+  loadQuestions,
+  getEventSurvey,
+  lockEventSurvey,
+  saveQuestions,
+  validateAnswers,
+  saveAnswers,
+  summarizeSurvey
+};
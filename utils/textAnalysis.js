@@ -0,0 +1,133 @@
+// Offline analysis of free-text feedback: keyword and phrase frequency and a
+// lexicon-based sentiment score. Everything runs locally; no text leaves the server.
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each even event events few for from further
+get got had has have having he her here hers herself him himself his how i if in into is it its itself
+just me more most my myself no nor not of off on once only or other our ours ourselves out over own
+really same she should so some such than that the their theirs them themselves then there these they
+this those through to too under until up us very was we were what when where which while who whom why
+will with would you your yours yourself yourselves im ive id dont didnt doesnt wasnt werent isnt arent
+cant couldnt wouldnt shouldnt wont thats theres one lot bit much many thing things way also well
+`.trim().split(/\s+/));
+
+// Word scores from -3 (very negative) to +3 (very positive), in the spirit of AFINN
+const LEXICON = {
+  amazing: 3, awesome: 3, brilliant: 3, excellent: 3, fantastic: 3, outstanding: 3, superb: 3, wonderful: 3,
+  love: 3, loved: 3, perfect: 3, incredible: 3, exceptional: 3, best: 3,
+  great: 2, good: 2, enjoyed: 2, enjoyable: 2, engaging: 2, informative: 2, insightful: 2, inspiring: 2,
+  interesting: 2, helpful: 2, useful: 2, valuable: 2, fun: 2, impressive: 2, knowledgeable: 2, liked: 2,
+  like: 1, nice: 2, clear: 2, organized: 2, organised: 2, friendly: 2, interactive: 2, recommend: 2,
+  well: 1, fine: 1, okay: 1, ok: 1, decent: 1, relevant: 1, smooth: 1, punctual: 1, thanks: 1, thank: 1,
+  happy: 2, glad: 2, pleased: 2, satisfied: 2, worth: 2, practical: 1, easy: 1, comfortable: 1,
+  boring: -2, bad: -2, poor: -2, confusing: -2, confused: -2, disappointing: -2, disappointed: -2,
+  disorganized: -2, disorganised: -2, rushed: -2, late: -1, delayed: -2, delay: -1, crowded: -1, noisy: -1,
+  long: -1, slow: -1, unclear: -2, irrelevant: -2, useless: -2, waste: -2, wasted: -2, difficult: -1,
+  hard: -1, hot: -1, cold: -1, small: -1, cramped: -2, chaotic: -2, messy: -2, unprofessional: -2,
+  terrible: -3, awful: -3, horrible: -3, worst: -3, pathetic: -3, hate: -3, hated: -3, rude: -3,
+  problem: -1, problems: -1, issue: -1, issues: -1, lacking: -1, lack: -1, missing: -1, broken: -2,
+  tired: -1, dull: -2, repetitive: -1, overcrowded: -2, unprepared: -2, cancelled: -1, canceled: -1
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'nothing', 'hardly', 'barely', 'dont', 'didnt', 'doesnt', 'wasnt', 'werent', 'isnt', 'arent', 'cant', 'couldnt', 'wouldnt', 'shouldnt', 'wont', 'without']);
+const INTENSIFIERS = { very: 1.5, really: 1.5, extremely: 2, super: 1.5, so: 1.3, too: 1.3, quite: 1.2, highly: 1.5 };
+
+// How many following words a negator flips, e.g. "not very good"
+const NEGATION_WINDOW = 3;
+
+// Lowercase words with apostrophes folded in ("didn't" -> "didnt")
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const isKeyword = (token) => token.length >= 3 && !STOPWORDS.has(token) && !NEGATORS.has(token) && !/^\d+$/.test(token);
+
+// { score, comparative, label } where comparative is the score per word
+const analyzeSentiment = (text) => {
+  const tokens = tokenize(text);
+  let score = 0;
+  let negateFor = 0;
+  let multiplier = 1;
+
+  for (const token of tokens) {
+    if (NEGATORS.has(token)) {
+      negateFor = NEGATION_WINDOW;
+      continue;
+    }
+
+    if (INTENSIFIERS[token]) {
+      multiplier = INTENSIFIERS[token];
+      continue;
+    }
+
+    if (LEXICON[token] !== undefined) {
+      const value = LEXICON[token] * multiplier;
+      score += negateFor > 0 ? -value : value;
+      negateFor = 0;
+    } else if (negateFor > 0) {
+      negateFor--;
+    }
+    multiplier = 1;
+  }
+
+  score = Math.round(score * 100) / 100;
+
+  return {
+    score,
+    comparative: tokens.length > 0 ? Math.round((score / tokens.length) * 1000) / 1000 : 0,
+    label: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral'
+  };
+};
+
+// Most frequent keywords and two/three-word phrases across texts.
+// A phrase must appear in at least two texts to be reported.
+const extractTerms = (texts, { limit = 20 } = {}) => {
+  const keywords = new Map();
+  const phrases = new Map();
+
+  const count = (map, term) => {
+    const entry = map.get(term) || { count: 0, documents: 0, seen: null };
+    entry.count++;
+    map.set(term, entry);
+    return entry;
+  };
+
+  texts.forEach((text, documentIndex) => {
+    const tokens = tokenize(text);
+
+    const markDocument = (entry) => {
+      if (entry.seen !== documentIndex) {
+        entry.seen = documentIndex;
+        entry.documents++;
+      }
+    };
+
+    tokens.forEach((token, i) => {
+      if (isKeyword(token)) markDocument(count(keywords, token));
+
+      for (const size of [2, 3]) {
+        const words = tokens.slice(i, i + size);
+        if (words.length === size && isKeyword(words[0]) && isKeyword(words[size - 1])) {
+          markDocument(count(phrases, words.join(' ')));
+        }
+      }
+    });
+  });
+
+  const top = (map, minDocuments) => [...map.entries()]
+    .filter(([, entry]) => entry.documents >= minDocuments)
+    .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, { count: total, documents }]) => ({ term, count: total, comments: documents }));
+
+  return { keywords: top(keywords, 1), phrases: top(phrases, 2) };
+};
+
+module.exports = {
+  tokenize,
+  analyzeSentiment,
+  extractTerms
+};
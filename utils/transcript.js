@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const db = require('../config/database');
+const { summarizeAttendance } = require('./eventTime');
+
+// Transcripts are a snapshot of a student's attended events, signed with
+// HMAC-SHA256 so the stored copy behind a verification code cannot be altered
+// without detection. The PDF is re-rendered from the snapshot on download.
+// The key is separate from JWT_SECRET, so rotating one never touches the other.
+if (!process.env.TRANSCRIPT_SIGNING_SECRET) {
+  throw new Error('TRANSCRIPT_SIGNING_SECRET is not set');
+}
+
+const signingSecret = () => process.env.TRANSCRIPT_SIGNING_SECRET;
+
+// No 0/O or 1/I so codes survive being read off paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateVerificationCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+const signContent = (content) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`transcript:${content}`)
+  .digest('hex');
+
+const isSignatureValid = (transcript) => {
+  const expected = Buffer.from(signContent(transcript.content), 'hex');
+  const actual = Buffer.from(transcript.signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+// Collect the transcript snapshot for a student of the given college, or null if there is no such student
+const buildTranscriptContent = async (studentId, collegeId) => {
+  const [students] = await db.execute(`
+    SELECT s.first_name, s.last_name, s.student_id, s.department, s.year_of_study, c.name as college_name
+    FROM students s
+    JOIN colleges c ON s.college_id = c.id
+    WHERE s.id = ? AND s.college_id = ?
+  `, [studentId, collegeId]);
+
+  if (students.length === 0) return null;
+  const student = students[0];
+
+  const [attended] = await db.execute(`
+    SELECT e.id, e.title, e.event_date, e.start_time, e.end_time, e.category, e.late_grace_minutes, e.min_attendance_percent,
+           a.checked_in_at, a.checked_out_at, cert.certificate_id
+    FROM attendance a
+    JOIN events e ON a.event_id = e.id
+    LEFT JOIN certificates cert ON cert.event_id = a.event_id AND cert.student_id = a.student_id
+    WHERE a.student_id = ? AND a.college_id = ?
+    ORDER BY e.event_date ASC, e.id ASC
+  `, [studentId, collegeId]);
+
+  // Only the time actually attended counts; without a required check-out that
+  // is until the end, and a missing required check-out earns no hours
+  const events = attended.map(event => ({
+    event_id: event.id,
+    title: event.title,
+    date: moment(event.event_date).format('YYYY-MM-DD'),
+    category: event.category || 'Uncategorized',
+    attended_hours: roundHours((summarizeAttendance(event, event).attended_minutes || 0) / 60),
+    certificate_id: event.certificate_id || null
+  }));
+
+  const byCategory = {};
+  for (const event of events) {
+    byCategory[event.category] = byCategory[event.category] || { category: event.category, events: 0, hours: 0 };
+    byCategory[event.category].events++;
+    byCategory[event.category].hours = roundHours(byCategory[event.category].hours + event.attended_hours);
+  }
+
+  return {
+    college_name: student.college_name,
+    student: {
+      name: `${student.first_name} ${student.last_name}`,
+      student_id: student.student_id,
+      department: student.department,
+      year_of_study: student.year_of_study
+    },
+    events,
+    total_events: events.length,
+    total_hours: roundHours(events.reduce((sum, event) => sum + event.attended_hours, 0)),
+    categories: Object.values(byCategory).sort((a, b) => b.hours - a.hours || a.category.localeCompare(b.category)),
+    generated_at: new Date().toISOString()
+  };
+};
+
+// Snapshot, sign and store a transcript. generatedBy is the signed-in user.
+const createTranscript = async (studentId, collegeId, generatedBy) => {
+  const data = await buildTranscriptContent(studentId, collegeId);
+  if (!data) return null;
+
+  const content = JSON.stringify(data);
+  const signature = signContent(content);
+  const verificationCode = generateVerificationCode();
+
+  await db.execute(
+    'INSERT INTO transcripts (college_id, student_id, verification_code, content, signature, generated_by_type, generated_by_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [collegeId, studentId, verificationCode, content, signature, generatedBy.type, generatedBy.id]
+  );
+
+  return { verification_code: verificationCode, signature, data };
+};
+
+// Stream the transcript PDF to res
+const sendTranscriptPdf = (res, { verification_code, signature, data }) => {
+  res.type('application/pdf');
+  res.attachment(`transcript-${verification_code}.pdf`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  pipeline(doc, res, (error) => {
+    if (error) console.error('Transcript PDF error:', error);
+  });
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const columns = [
+    { label: 'Date', width: 0.14, value: event => moment(event.date).format('D MMM YYYY') },
+    { label: 'Event', width: 0.36, value: event => event.title },
+    { label: 'Category', width: 0.16, value: event => event.category },
+    // Transcripts issued before attended hours were tracked store duration_hours
+    { label: 'Hours', width: 0.08, value: event => String(event.attended_hours ?? event.duration_hours) },
+    { label: 'Certificate ID', width: 0.26, value: event => event.certificate_id || '-' }
+  ];
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width * tableWidth - 6 }))) + 6;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom - 60) {
+      doc.addPage();
+      doc.font(font).fontSize(9);
+    }
+
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + 3, y + 3, { width: columns[i].width * tableWidth - 6 });
+      x += columns[i].width * tableWidth;
+    });
+    doc.moveTo(left, y + height).lineTo(left + tableWidth, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#1f3a68').text(data.college_name, { align: 'center' });
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000').text('Co-curricular Transcript', { align: 'center' });
+  doc.moveDown();
+
+  const { student } = data;
+  doc.font('Helvetica').fontSize(10)
+    .text(`Name: ${student.name}`)
+    .text(`Student ID: ${student.student_id}`);
+  if (student.department) doc.text(`Department: ${student.department}`);
+  if (student.year_of_study) doc.text(`Year of study: ${student.year_of_study}`);
+  doc.text(`Issued: ${moment(data.generated_at).format('MMMM D, YYYY HH:mm')}`);
+  doc.moveDown();
+
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  if (data.events.length === 0) {
+    doc.moveDown(0.5).font('Helvetica-Oblique').fontSize(10).text('No attended events.');
+  }
+  data.events.forEach(event => drawRow(columns.map(column => column.value(event)), 'Helvetica'));
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11).text(`Total: ${data.total_events} event${data.total_events === 1 ? '' : 's'}, ${data.total_hours} hours`);
+  doc.moveDown(0.5);
+  data.categories.forEach(({ category, events, hours }) => {
+    doc.font('Helvetica').fontSize(10).text(`${category}: ${events} event${events === 1 ? '' : 's'}, ${hours} hours`);
+  });
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Verification code: ${verification_code}`)
+    .text(`Verify at /api/transcripts/verify/${verification_code}`)
+    .text(`Signature (HMAC-SHA256): ${signature}`);
+
+  doc.end();
+};
+
+module.exports = {
+  isSignatureValid,
+  createTranscript,
+  sendTranscriptPdf
+};
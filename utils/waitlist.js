@@ -0,0 +1,98 @@
+const { notify } = require('./notifications');
+const { refreshRegistrationCounts } = require('./eventStats');
+
+// Waitlist helpers. Every function expects a connection inside an open
+// transaction that already holds the event row lock (SELECT ... FOR UPDATE).
+
+// Close the gaps left in waitlist_position after someone leaves the queue
+const renumberWaitlist = async (connection, eventId) => {
+  const [waitlisted] = await connection.execute(
+    'SELECT id, waitlist_position FROM registrations WHERE event_id = ? AND status = "waitlisted" ORDER BY waitlist_position ASC, id ASC',
+    [eventId]
+  );
+
+  for (let i = 0; i < waitlisted.length; i++) {
+    if (waitlisted[i].waitlist_position !== i + 1) {
+      await connection.execute(
+        'UPDATE registrations SET waitlist_position = ? WHERE id = ?',
+        [i + 1, waitlisted[i].id]
+      );
+    }
+  }
+};
+
+// Fill free seats from the front of the waitlist, returns the promoted registrations
+const promoteFromWaitlist = async (connection, eventId) => {
+  const [events] = await connection.execute(
+    'SELECT max_participants FROM events WHERE id = ?',
+    [eventId]
+  );
+  if (events.length === 0) return [];
+
+  const [registeredCount] = await connection.execute(
+    'SELECT COUNT(*) as count FROM registrations WHERE event_id = ? AND status = "registered"',
+    [eventId]
+  );
+
+  const freeSeats = events[0].max_participants - registeredCount[0].count;
+  if (freeSeats <= 0) return [];
+
+  const [candidates] = await connection.execute(
+    'SELECT id, student_id FROM registrations WHERE event_id = ? AND status = "waitlisted" ORDER BY waitlist_position ASC, id ASC LIMIT ?',
+    [eventId, freeSeats]
+  );
+
+  for (const candidate of candidates) {
+    await connection.execute(
+      'UPDATE registrations SET status = "registered", waitlist_position = NULL WHERE id = ?',
+      [candidate.id]
+    );
+  }
+
+  if (candidates.length > 0) {
+    await renumberWaitlist(connection, eventId);
+  }
+
+  return candidates;
+};
+
+// Tell students they were moved off the waitlist. event needs id, college_id and title.
+const notifyPromoted = async (connection, event, promoted) => {
+  await notify(promoted.map(row => row.student_id), {
+    type: 'waitlist_promoted',
+    college_id: event.college_id,
+    title: `You're in: ${event.title}`,
+    body: `A seat opened up and you have been moved off the waitlist for ${event.title}.`,
+    data: { event_id: event.id }
+  }, connection);
+};
+
+// Cancel a registration or waitlist spot. A freed seat goes to the front of the
+// waitlist and the promoted students are notified. event needs id, college_id
+// and title; registration needs id and status. Returns the promoted registrations.
+const cancelRegistration = async (connection, event, registration) => {
+  await connection.execute(
+    'UPDATE registrations SET status = "cancelled", waitlist_position = NULL WHERE id = ?',
+    [registration.id]
+  );
+
+  let promoted = [];
+  if (registration.status === 'registered') {
+    promoted = await promoteFromWaitlist(connection, event.id);
+  } else {
+    await renumberWaitlist(connection, event.id);
+  }
+
+  await notifyPromoted(connection, event, promoted);
+
+  await refreshRegistrationCounts(connection, event.id);
+
+  return promoted;
+};
+
+module.exports = {
+  renumberWaitlist,
+  promoteFromWaitlist,
+  notifyPromoted,
+  cancelRegistration
+};